@@ -0,0 +1,54 @@
+/**
+ * Add-in Configuration
+ * Settings for the Salesforce Connected App used by the add-in
+ */
+
+const SALESFORCE_CONFIG = {
+    // Consumer Key of the Connected App (PKCE enabled, no client secret required)
+    clientId: 'YOUR_CONNECTED_APP_CONSUMER_KEY',
+    // Must match the Callback URL configured on the Connected App
+    redirectUri: 'https://Stojcheski.github.io/my-salesforce-addin/oauth-callback.html',
+    scope: 'full refresh_token',
+    apiVersion: 'v58.0',
+    // Serve sample data from demo-api.js instead of connecting to Salesforce
+    demoMode: false,
+    // EmailMessage field used to detect duplicate logs (e.g. a custom Outlook_Message_Id__c)
+    messageIdField: 'MessageIdentifier',
+    // Refresh the access token this long before it expires
+    refreshLeadSeconds: 300,
+    // Access token lifetime used to schedule refreshes; match the org's session timeout
+    sessionTimeoutMinutes: 120,
+    // Where tokens are kept: 'indexeddb' (encrypted, persistent) or 'memory' (shared machines)
+    tokenStorage: 'indexeddb',
+    // Object describes and layouts are revalidated with Salesforce after this long
+    metadataMaxAgeMinutes: 60,
+    // Related records and other lookups are cached this long; the add-in's own writes invalidate them sooner
+    recordCacheMinutes: 5,
+    // Task text field that stores each activity's key, so a retried save does not create a second Task
+    // (deployed with force-app; leave it undeployed or set null to skip the check)
+    activityKeyField: 'Outlook_Activity_Key__c',
+    // Logging actions that failed while Salesforce was unreachable are retried this many times
+    outboxMaxAttempts: 8,
+    // Non-essential requests (recent activity, metadata revalidation, duplicate rule checks, automatic
+    // outbox sends) pause when less than this % of the daily API limit remains
+    apiLimitReservePercent: 10,
+    // Application (client) ID of the Microsoft Entra app used to read conversations through Microsoft Graph
+    // (SPA redirect URI brk-multihub://<add-in host>, delegated Mail.Read permission)
+    graphClientId: 'YOUR_ENTRA_APP_CLIENT_ID',
+    // Apex REST resource used to convert Leads (deploy force-app to the org, e.g. sf project deploy start)
+    leadConvertPath: '/services/apexrest/LeadConvert',
+    // Attachments larger than this are not offered for upload (bytes)
+    maxAttachmentSize: 25 * 1024 * 1024,
+    // Also store the sanitized HTML body in EmailMessage.HtmlBody
+    captureHtmlBody: true,
+    // Inline cid: images: 'upload' saves them as Files on the email, 'drop' discards them
+    inlineImageMode: 'upload',
+    // EmailMessage body fields hold at most 32,000 characters
+    maxBodyLength: 32000
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SALESFORCE_CONFIG;
+} else {
+    window.SALESFORCE_CONFIG = SALESFORCE_CONFIG;
+}
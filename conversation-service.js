@@ -0,0 +1,149 @@
+/**
+ * Outlook Conversation Service
+ * Retrieves the messages of an Outlook conversation (thread) through
+ * Microsoft Graph. The Graph token comes from nested app authentication
+ * (MSAL running inside Outlook), so the user signs in with their Outlook
+ * account and usually sees no prompt at all.
+ */
+
+class ConversationService {
+    /**
+     * @param {Object} options - { graphClientId, captureHtmlBody, inlineImageMode, maxBodyLength }
+     */
+    constructor(options = {}) {
+        this.clientId = options.graphClientId;
+        this.captureHtmlBody = !!options.captureHtmlBody;
+        this.inlineImageMode = options.inlineImageMode;
+        this.maxBodyLength = options.maxBodyLength || 32000;
+        this.msalClient = null;
+    }
+
+    /**
+     * Get a Microsoft Graph token for the Outlook user through nested app authentication
+     */
+    async getGraphToken() {
+        if (typeof msal === 'undefined' || !Office.context.requirements.isSetSupported('NestedAppAuth', '1.1')) {
+            throw new Error('Conversation lookup is not supported in this Outlook client');
+        }
+        if (!this.clientId || this.clientId.startsWith('YOUR_')) {
+            throw new Error('Conversation lookup is not configured: set graphClientId in config.js');
+        }
+
+        if (!this.msalClient) {
+            this.msalClient = await msal.createNestablePublicClientApplication({
+                auth: {
+                    clientId: this.clientId,
+                    authority: 'https://login.microsoftonline.com/common'
+                }
+            });
+        }
+
+        const request = { scopes: ConversationService.SCOPES };
+        try {
+            return (await this.msalClient.acquireTokenSilent(request)).accessToken;
+        } catch (error) {
+            // First use, or consent is missing: MSAL asks the user in a popup
+            console.warn('Silent Graph token request failed, prompting:', error);
+            return (await this.msalClient.acquireTokenPopup(request)).accessToken;
+        }
+    }
+
+    /**
+     * Fetch every message of a conversation, oldest first
+     * @param {string} conversationId - Outlook conversationId of the item
+     * @returns {Array} Messages in the email data shape used by SalesforceService.logEmail
+     */
+    async getConversationMessages(conversationId) {
+        if (!conversationId) {
+            throw new Error('This item has no conversation');
+        }
+
+        const token = await this.getGraphToken();
+        const filter = `conversationId eq '${conversationId.replace(/'/g, '\'\'')}'`;
+        const select = [
+            'id', 'internetMessageId', 'conversationId', 'subject', 'body', 'from',
+            'toRecipients', 'ccRecipients', 'sentDateTime', 'isDraft'
+        ].join(',');
+
+        let url = `${ConversationService.GRAPH_URL}/me/messages` +
+            `?$filter=${encodeURIComponent(filter)}&$select=${select}&$top=50`;
+        const messages = [];
+
+        while (url) {
+            const response = await fetch(url, {
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Accept': 'application/json'
+                }
+            });
+
+            if (!response.ok) {
+                throw new Error(`Conversation lookup failed: ${response.status}`);
+            }
+
+            const data = await response.json();
+            messages.push(...(data.value || []));
+            url = data['@odata.nextLink'] || null;
+        }
+
+        // Sorted locally; Graph rejects $orderby combined with this filter
+        return messages
+            .filter(message => !message.isDraft)
+            .sort((a, b) => new Date(a.sentDateTime) - new Date(b.sentDateTime))
+            .map(message => this.toEmailData(message));
+    }
+
+    /**
+     * Map a Graph message to the email data shape, with the same text and
+     * sanitized HTML bodies as single emails
+     */
+    toEmailData(message) {
+        const userAddress = (Office.context.mailbox.userProfile.emailAddress || '').toLowerCase();
+        const fromAddress = message.from ? message.from.emailAddress.address : '';
+        const addresses = recipients => (recipients || []).map(recipient => recipient.emailAddress.address);
+        const content = message.body ? message.body.content || '' : '';
+        const html = message.body && message.body.contentType === 'html';
+
+        const emailData = {
+            subject: message.subject || '',
+            body: (html ? ConversationService.htmlToText(content) : content).substring(0, this.maxBodyLength),
+            from: fromAddress,
+            fromName: message.from ? message.from.emailAddress.name : '',
+            to: addresses(message.toRecipients),
+            cc: addresses(message.ccRecipients),
+            date: message.sentDateTime,
+            incoming: fromAddress.toLowerCase() !== userAddress,
+            internetMessageId: message.internetMessageId,
+            conversationId: message.conversationId
+        };
+
+        if (html && this.captureHtmlBody) {
+            // Inline images of thread messages are not uploaded; 'upload' mode leaves a placeholder
+            emailData.htmlBody = new HtmlSanitizer({
+                inlineImageMode: this.inlineImageMode,
+                maxLength: this.maxBodyLength
+            }).sanitize(content).html;
+        }
+
+        return emailData;
+    }
+
+    /**
+     * Convert an HTML body to text, keeping line breaks between blocks
+     */
+    static htmlToText(html) {
+        const doc = new DOMParser().parseFromString(
+            html.replace(/<(br|\/p|\/div|\/tr|\/li|\/h\d)[^>]*>/gi, '$&\n'), 'text/html');
+        doc.querySelectorAll('style, script').forEach(element => element.remove());
+        return (doc.body.textContent || '').replace(/\n{3,}/g, '\n\n').trim();
+    }
+}
+
+ConversationService.GRAPH_URL = 'https://graph.microsoft.com/v1.0';
+ConversationService.SCOPES = ['Mail.Read'];
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConversationService;
+} else {
+    window.ConversationService = ConversationService;
+}
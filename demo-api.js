@@ -0,0 +1,513 @@
+/**
+ * Demo Salesforce API
+ * In-memory stand-in for the Salesforce REST API, used only when
+ * SALESFORCE_CONFIG.demoMode is enabled. Serves sample records and
+ * stores created records for the lifetime of the page.
+ */
+
+class DemoSalesforceService extends SalesforceService {
+    constructor() {
+        super();
+        this.instanceUrl = 'https://demo.my.salesforce.com';
+        this.accessToken = 'demo';
+        this.nextId = 1;
+        this.records = DemoSalesforceService.sampleRecords();
+    }
+
+    /**
+     * Route REST calls to the in-memory data set
+     */
+    async apiCall(endpoint, method = 'GET', data = null, headers = null, options = {}) {
+        if (options.essential === false) {
+            this.assertApiReserve();
+        }
+
+        const path = endpoint.replace(/^\/services\/data\/v[\d.]+\//, '');
+        const [resource, queryString] = path.split('?');
+        const params = new URLSearchParams(queryString || '');
+        if (method !== 'GET') {
+            await this.invalidateCache(endpoint, data);
+        }
+
+        if (resource === 'sobjects/User/me') {
+            return this.records.User[0];
+        }
+        if (resource === 'sobjects/Organization') {
+            return { records: [{ Id: '00D000000000DEM', Name: 'Demo Org' }] };
+        }
+        if (resource === 'query/' || resource === 'queryAll/') {
+            const records = this.runQuery(params.get('q'));
+            return { totalSize: records.length, done: true, records: records };
+        }
+        if (resource === 'limits/') {
+            return {
+                DailyApiRequests: { Max: 15000, Remaining: 14250 },
+                DailyBulkApiBatches: { Max: 15000, Remaining: 15000 },
+                DataStorageMB: { Max: 1024, Remaining: 980 },
+                FileStorageMB: { Max: 1024, Remaining: 1010 },
+                SingleEmail: { Max: 5000, Remaining: 5000 }
+            };
+        }
+        if (resource === 'search/') {
+            return { searchRecords: this.runSearch(params.get('q')) };
+        }
+        if (resource === 'composite') {
+            return this.runComposite(data);
+        }
+        if (endpoint === this.leadConvertPath && method === 'POST') {
+            return this.runLeadConvert(data);
+        }
+        if (resource === 'composite/sobjects' && method === 'POST') {
+            return data.records.map(record => this.insert(record.attributes.type, record));
+        }
+        if (resource === 'sobjects/') {
+            return {
+                sobjects: Object.keys(this.records).map(name => ({
+                    name, label: name, keyPrefix: DemoSalesforceService.KEY_PREFIXES[name] || null,
+                    createable: true, updateable: true, queryable: true
+                }))
+            };
+        }
+
+        const describe = resource.match(/^sobjects\/(\w+)\/describe\/?$/);
+        if (describe) {
+            return this.describeObject(describe[1]);
+        }
+
+        const match = resource.match(/^sobjects\/(\w+)\/?(\w*)$/);
+        if (match && method === 'POST') {
+            return this.insert(match[1], data);
+        }
+        if (match && match[2] && method === 'GET') {
+            return this.findById(match[2]) || {};
+        }
+        if (match && match[2] && method === 'PATCH') {
+            Object.assign(this.findById(match[2]) || {}, data);
+            return null;
+        }
+        if (match && match[2]) {
+            return {};
+        }
+
+        throw new SalesforceNotFoundError(`Demo API does not support ${method} ${endpoint}`, { status: 404 });
+    }
+
+    /**
+     * Serve raw requests from the in-memory data set as well
+     */
+    async apiRequest(endpoint, options = {}) {
+        const body = await this.apiCall(endpoint, options.method, options.data, options.headers, options);
+        return new Response(JSON.stringify(body), {
+            status: 200,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+
+    /**
+     * Build a describe result from DEMO_FIELDS, or from the sample records' keys
+     */
+    describeObject(objectType) {
+        const sample = (this.records[objectType] || [])[0] || {};
+        const fields = DemoSalesforceService.DEMO_FIELDS[objectType] || Object.keys(sample)
+            .filter(name => name !== 'Id' && (sample[name] === null || typeof sample[name] !== 'object'))
+            .map(name => ({
+                name: name,
+                type: name.endsWith('Id') ? 'reference' : 'string',
+                relationshipName: name.endsWith('Id') && typeof sample[name.slice(0, -2)] === 'object'
+                    ? name.slice(0, -2) : null
+            }));
+
+        return {
+            name: objectType,
+            label: objectType,
+            createable: true,
+            updateable: true,
+            fields: [{ name: 'Id', label: 'Record ID', type: 'id', createable: false, updateable: false, nillable: false, defaultedOnCreate: true }]
+                .concat(fields.map(field => Object.assign({
+                    label: field.name.replace(/Id$/, '').replace(/([a-z])([A-Z])/g, '$1 $2'),
+                    createable: true,
+                    updateable: true,
+                    nillable: true,
+                    defaultedOnCreate: false,
+                    length: field.type === 'string' ? 255 : 0,
+                    picklistValues: [],
+                    restrictedPicklist: false,
+                    relationshipName: null
+                }, field)))
+        };
+    }
+
+    /**
+     * Stand-in for the LeadConvertResource Apex REST class: copy the Lead into
+     * a Contact, a new or existing Account and optionally an Opportunity
+     */
+    runLeadConvert(data) {
+        const lead = this.findById(data.leadId);
+        if (!lead || lead.IsConverted) {
+            throw SalesforceError.create(400, [{
+                errorCode: 'INVALID_STATUS',
+                message: `Demo API cannot convert Lead ${data.leadId}`,
+                fields: []
+            }]);
+        }
+
+        const accountId = data.accountId || this.insert('Account', { Name: lead.Company || lead.Name, Type: 'Prospect' }).id;
+        const account = { Id: accountId, Name: this.findById(accountId).Name };
+        const contactId = this.insert('Contact', {
+            Name: lead.Name, FirstName: lead.FirstName, LastName: lead.LastName, Email: lead.Email,
+            Phone: lead.Phone, Title: lead.Title, AccountId: accountId, Account: account
+        }).id;
+        const opportunityId = data.opportunityName
+            ? this.insert('Opportunity', {
+                Name: data.opportunityName, StageName: 'Prospecting', IsClosed: false, AccountId: accountId, Account: account,
+                CloseDate: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0]
+            }).id
+            : null;
+
+        Object.assign(lead, {
+            IsConverted: true,
+            Status: data.convertedStatus || 'Closed - Converted',
+            ConvertedAccountId: accountId,
+            ConvertedContactId: contactId,
+            ConvertedOpportunityId: opportunityId
+        });
+        return { accountId, contactId, opportunityId };
+    }
+
+    /**
+     * Evaluate a SOQL statement against the sample data
+     * Equality and IN conditions must all match; LIKE conditions need any match.
+     */
+    runQuery(soql) {
+        const objectType = (soql.match(/\bFROM\s+(\w+)/i) || [])[1];
+        const where = (soql.match(/\bWHERE\s+(.*?)(\s+ORDER BY|\s+LIMIT|$)/i) || [])[1] || '';
+        const limit = parseInt((soql.match(/\bLIMIT\s+(\d+)/i) || [])[1] || '2000', 10);
+        const unescape = value => value.replace(/\\(.)/g, '$1').toLowerCase();
+
+        const equals = [...where.matchAll(/([\w.]+) = '((?:[^'\\]|\\.)*)'/g)]
+            .map(([, field, value]) => ({ field, values: [unescape(value)] }))
+            .concat([...where.matchAll(/([\w.]+) = (true|false)\b/g)]
+                .map(([, field, value]) => ({ field, values: [value] })));
+        const lists = [...where.matchAll(/([\w.]+) IN \(([^)]*)\)/g)]
+            .map(([, field, list]) => ({
+                field,
+                values: [...list.matchAll(/'((?:[^'\\]|\\.)*)'/g)].map(([, value]) => unescape(value))
+            }));
+        const likes = [...where.matchAll(/([\w.]+) LIKE '((?:[^'\\]|\\.)*)'/g)]
+            .map(([, field, pattern]) => ({ field, value: unescape(pattern.replace(/(^|[^\\])%/g, '$1')) }));
+
+        return (this.records[objectType] || [])
+            .filter(record => equals.concat(lists).every(condition =>
+                condition.values.includes(String(this.fieldValue(record, condition.field)).toLowerCase())))
+            .filter(record => likes.length === 0 || likes.some(condition =>
+                String(this.fieldValue(record, condition.field) || '').toLowerCase().includes(condition.value)))
+            .slice(0, limit);
+    }
+
+    /**
+     * Evaluate a SOSL statement by matching the term against record names and emails
+     */
+    runSearch(sosl) {
+        const term = ((sosl.match(/^FIND \{(.*?)\} IN/) || [])[1] || '').replace(/\\(.)/g, '$1').toLowerCase();
+        const objectTypes = [...sosl.matchAll(/(\w+)\(/g)].map(([, type]) => type);
+
+        return objectTypes.flatMap(type => (this.records[type] || [])
+            .filter(record => [record.Name, record.Email].some(value => (value || '').toLowerCase().includes(term)))
+            .map(record => Object.assign({ attributes: { type } }, record)));
+    }
+
+    /**
+     * Run composite subrequests in order, resolving @{ref.field} references
+     */
+    runComposite(data) {
+        const results = {};
+        const resolve = value => value.replace(/@\{(\w+)\.(\w+)\}/g, (all, ref, field) =>
+            results[ref] ? results[ref][field] : all);
+
+        const compositeResponse = data.compositeRequest.map(request => {
+            const url = resolve(request.url);
+            const body = request.body ? JSON.parse(resolve(JSON.stringify(request.body))) : null;
+            const [, type, id] = url.match(/sobjects\/(\w+)\/?(\w*)/) || [];
+            const responseBody = request.method === 'POST'
+                ? this.insert(type, body)
+                : this.findById(id) || {};
+
+            results[request.referenceId] = responseBody;
+            return {
+                referenceId: request.referenceId,
+                httpStatusCode: request.method === 'POST' ? 201 : 200,
+                body: responseBody
+            };
+        });
+
+        return { compositeResponse };
+    }
+
+    /**
+     * Store a new record and return a create response
+     */
+    insert(objectType, fields) {
+        const record = Object.assign({}, fields, {
+            Id: `${DemoSalesforceService.KEY_PREFIXES[objectType] || '0DM'}DEMO${String(this.nextId++).padStart(8, '0')}`,
+            CreatedDate: new Date().toISOString()
+        });
+        delete record.attributes;
+
+        if (objectType === 'ContentVersion') {
+            record.ContentDocumentId = record.Id.replace(/^068/, '069');
+        }
+        if (record.WhoId) {
+            record.Who = this.findById(record.WhoId);
+        }
+        if (record.WhatId || record.RelatedToId) {
+            record[record.WhatId ? 'What' : 'RelatedTo'] = this.findById(record.WhatId || record.RelatedToId);
+        }
+
+        this.records[objectType] = (this.records[objectType] || []);
+        this.records[objectType].unshift(record);
+        return { id: record.Id, success: true, errors: [] };
+    }
+
+    /**
+     * Look up any record by Id
+     */
+    findById(id) {
+        return Object.values(this.records).flat().find(record => record.Id === id) || null;
+    }
+
+    /**
+     * Read a field value, following relationship paths like Account.Name
+     */
+    fieldValue(record, field) {
+        return field.split('.').reduce((value, part) => (value ? value[part] : undefined), record);
+    }
+
+    async loadSession() {
+        return this.getSessionInfo();
+    }
+
+    isAuthenticated() {
+        return true;
+    }
+
+    getSessionInfo() {
+        return {
+            access_token: this.accessToken,
+            instance_url: this.instanceUrl,
+            issued_at: Date.now().toString(),
+            demo: true
+        };
+    }
+
+    async logout() {
+        // Nothing to revoke in demo mode
+    }
+
+    getConnectionInfo() {
+        return {
+            connectionId: 'demo',
+            name: 'Demo Org',
+            orgId: '00D000000000DEM',
+            instanceUrl: this.instanceUrl
+        };
+    }
+
+    static sampleRecords() {
+        const acme = { Id: '001DEMO00000001', Name: 'Acme Corp', Type: 'Customer - Direct', Industry: 'Manufacturing', Website: 'www.example.com' };
+        const prospect = { Id: '001DEMO00000002', Name: 'Prospect Inc', Type: 'Prospect', Industry: 'Technology', Website: 'www.prospect.com' };
+        const johnSmith = {
+            Id: '003DEMO00000001', Name: 'John Smith', FirstName: 'John', LastName: 'Smith',
+            Email: 'john.smith@example.com', Phone: '(555) 010-1000', Title: 'VP Sales',
+            AccountId: acme.Id, Account: { Id: acme.Id, Name: acme.Name }
+        };
+
+        return {
+            User: [{ Id: '005DEMO00000001', Name: 'Demo User', Email: 'demo.user@example.com', Username: 'demo.user@example.com' }],
+            Account: [acme, prospect],
+            Contact: [johnSmith],
+            Lead: [{
+                Id: '00QDEMO00000001', Name: 'Jane Doe', FirstName: 'Jane', LastName: 'Doe',
+                Email: 'jane.doe@prospect.com', Phone: '(555) 010-2000', Company: 'Prospect Inc',
+                Title: 'Marketing Director', Status: 'Open - Not Contacted', IsConverted: false
+            }],
+            Opportunity: [{
+                Id: '006DEMO00000001', Name: 'Q4 Deal', StageName: 'Proposal/Price Quote', Amount: 50000,
+                CloseDate: new Date().toISOString().split('T')[0], AccountId: acme.Id,
+                Account: { Name: acme.Name }, IsClosed: false
+            }],
+            Task: [{
+                Id: '00TDEMO00000001', Subject: 'Follow up on proposal', Type: 'Email', Status: 'Completed',
+                OwnerId: '005DEMO00000001', CreatedDate: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString(),
+                Who: { Name: 'John Smith', Type: 'Contact' }
+            }, {
+                Id: '00TDEMO00000002', Subject: 'Discovery call with prospect', Type: 'Call', Status: 'Completed',
+                OwnerId: '005DEMO00000001', CreatedDate: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString(),
+                Who: { Name: 'Jane Doe', Type: 'Lead' }
+            }],
+            EmailMessage: [],
+            LeadStatus: [{
+                Id: '01JDEMO00000004', ApiName: 'Closed - Converted', MasterLabel: 'Closed - Converted',
+                IsConverted: true, SortOrder: 3
+            }]
+        };
+    }
+}
+
+// Picklist values as defined in a new Developer Edition org
+DemoSalesforceService.picklist = (values, defaultValue) => values.map(value => ({
+    value, label: value, active: true, defaultValue: value === defaultValue
+}));
+
+DemoSalesforceService.DEMO_FIELDS = {
+    Contact: [
+        { name: 'FirstName', type: 'string', length: 40 },
+        { name: 'LastName', type: 'string', length: 80, nillable: false },
+        { name: 'Email', type: 'email', length: 80 },
+        { name: 'Phone', type: 'phone', length: 40 },
+        { name: 'MobilePhone', type: 'phone', length: 40 },
+        { name: 'Title', type: 'string', length: 128 },
+        { name: 'Department', type: 'string', length: 80 },
+        { name: 'MailingStreet', type: 'textarea', length: 255, compoundFieldName: 'MailingAddress' },
+        { name: 'MailingCity', type: 'string', length: 40, compoundFieldName: 'MailingAddress' },
+        { name: 'MailingState', type: 'string', length: 80, compoundFieldName: 'MailingAddress' },
+        { name: 'MailingPostalCode', type: 'string', length: 20, compoundFieldName: 'MailingAddress' },
+        { name: 'MailingCountry', type: 'string', length: 80, compoundFieldName: 'MailingAddress' },
+        { name: 'AccountId', type: 'reference', relationshipName: 'Account', referenceTo: ['Account'] },
+        { name: 'Description', type: 'textarea', length: 32000 }
+    ],
+    Lead: [
+        { name: 'FirstName', type: 'string', length: 40 },
+        { name: 'LastName', type: 'string', length: 80, nillable: false },
+        { name: 'Company', type: 'string', length: 255, nillable: false },
+        { name: 'Email', type: 'email', length: 80 },
+        { name: 'Phone', type: 'phone', length: 40 },
+        { name: 'MobilePhone', type: 'phone', length: 40 },
+        { name: 'Title', type: 'string', length: 128 },
+        { name: 'Website', type: 'url', length: 255 },
+        { name: 'Street', type: 'textarea', length: 255, compoundFieldName: 'Address' },
+        { name: 'City', type: 'string', length: 40, compoundFieldName: 'Address' },
+        { name: 'State', type: 'string', length: 80, compoundFieldName: 'Address' },
+        { name: 'PostalCode', type: 'string', length: 20, compoundFieldName: 'Address' },
+        { name: 'Country', type: 'string', length: 80, compoundFieldName: 'Address' },
+        {
+            name: 'Status', type: 'picklist', nillable: false, defaultedOnCreate: true, restrictedPicklist: true,
+            picklistValues: DemoSalesforceService.picklist(['Open - Not Contacted', 'Working - Contacted',
+                'Closed - Converted', 'Closed - Not Converted'], 'Open - Not Contacted')
+        },
+        {
+            name: 'LeadSource', type: 'picklist',
+            picklistValues: DemoSalesforceService.picklist(['Web', 'Phone Inquiry', 'Partner Referral', 'Purchased List', 'Other'])
+        },
+        { name: 'Description', type: 'textarea', length: 32000 }
+    ],
+    Account: [
+        { name: 'Name', type: 'string', length: 255, nillable: false },
+        { name: 'Website', type: 'url', length: 255 },
+        { name: 'Phone', type: 'phone', length: 40 },
+        {
+            name: 'Type', type: 'picklist',
+            picklistValues: DemoSalesforceService.picklist(['Prospect', 'Customer - Direct', 'Customer - Channel',
+                'Channel Partner / Reseller', 'Installation Partner', 'Technology Partner', 'Other'])
+        },
+        {
+            name: 'Industry', type: 'picklist',
+            picklistValues: DemoSalesforceService.picklist(['Consulting', 'Education', 'Finance', 'Healthcare',
+                'Manufacturing', 'Retail', 'Technology', 'Other'])
+        },
+        { name: 'BillingStreet', type: 'textarea', length: 255, compoundFieldName: 'BillingAddress' },
+        { name: 'BillingCity', type: 'string', length: 40, compoundFieldName: 'BillingAddress' },
+        { name: 'BillingState', type: 'string', length: 80, compoundFieldName: 'BillingAddress' },
+        { name: 'BillingPostalCode', type: 'string', length: 20, compoundFieldName: 'BillingAddress' },
+        { name: 'BillingCountry', type: 'string', length: 80, compoundFieldName: 'BillingAddress' },
+        { name: 'Description', type: 'textarea', length: 32000 }
+    ],
+    Task: [
+        { name: 'Subject', type: 'combobox', length: 255 },
+        { name: 'Description', type: 'textarea', length: 32000 },
+        { name: 'ActivityDate', type: 'date' },
+        {
+            name: 'Status', type: 'picklist', nillable: false, defaultedOnCreate: true, restrictedPicklist: true,
+            picklistValues: DemoSalesforceService.picklist(['Not Started', 'In Progress', 'Completed',
+                'Waiting on someone else', 'Deferred'], 'Not Started')
+        },
+        {
+            name: 'Priority', type: 'picklist', nillable: false, defaultedOnCreate: true, restrictedPicklist: true,
+            picklistValues: DemoSalesforceService.picklist(['High', 'Normal', 'Low'], 'Normal')
+        },
+        { name: 'Type', type: 'picklist', picklistValues: DemoSalesforceService.picklist(['Call', 'Email', 'Meeting', 'Other']) },
+        { name: 'WhoId', type: 'reference', relationshipName: 'Who', referenceTo: ['Contact', 'Lead'] },
+        { name: 'WhatId', type: 'reference', relationshipName: 'What', referenceTo: ['Account', 'Opportunity', 'Case'] }
+    ],
+    Event: [
+        { name: 'Subject', type: 'combobox', length: 255 },
+        { name: 'StartDateTime', type: 'datetime' },
+        { name: 'EndDateTime', type: 'datetime' },
+        { name: 'Location', type: 'string', length: 255 },
+        { name: 'Description', type: 'textarea', length: 32000 },
+        { name: 'WhoId', type: 'reference', relationshipName: 'Who', referenceTo: ['Contact', 'Lead'] },
+        { name: 'WhatId', type: 'reference', relationshipName: 'What', referenceTo: ['Account', 'Opportunity', 'Case'] }
+    ],
+    EventRelation: [
+        { name: 'EventId', type: 'reference', nillable: false, referenceTo: ['Event'] },
+        { name: 'RelationId', type: 'reference', nillable: false, referenceTo: ['Contact', 'Lead', 'User'] },
+        { name: 'IsInvitee', type: 'boolean' }
+    ],
+    EmailMessage: [
+        { name: 'Subject', type: 'string', length: 3000 },
+        { name: 'TextBody', type: 'textarea', length: 131072 },
+        { name: 'HtmlBody', type: 'textarea', length: 131072 },
+        { name: 'FromAddress', type: 'email', length: 1000 },
+        { name: 'ToAddress', type: 'string', length: 4000 },
+        { name: 'CcAddress', type: 'string', length: 4000 },
+        { name: 'MessageDate', type: 'datetime' },
+        {
+            name: 'Status', type: 'picklist', nillable: false, restrictedPicklist: true,
+            picklistValues: DemoSalesforceService.picklist(['0', '1', '2', '3', '4', '5'])
+        },
+        { name: 'Incoming', type: 'boolean' },
+        { name: 'MessageIdentifier', type: 'string', length: 255 },
+        { name: 'ThreadIdentifier', type: 'string', length: 255 },
+        { name: 'RelatedToId', type: 'reference', relationshipName: 'RelatedTo', referenceTo: ['Account', 'Opportunity', 'Case'] },
+        { name: 'ParentId', type: 'reference', relationshipName: 'Parent', referenceTo: ['Case'] }
+    ],
+    EmailMessageRelation: [
+        { name: 'EmailMessageId', type: 'reference', nillable: false, referenceTo: ['EmailMessage'] },
+        { name: 'RelationId', type: 'reference', referenceTo: ['Contact', 'Lead', 'User'] },
+        {
+            name: 'RelationType', type: 'picklist', nillable: false, restrictedPicklist: true,
+            picklistValues: DemoSalesforceService.picklist(['FromAddress', 'ToAddress', 'CcAddress', 'BccAddress'])
+        },
+        { name: 'RelationAddress', type: 'email', length: 1000 }
+    ],
+    ContentVersion: [
+        { name: 'Title', type: 'string', length: 255, nillable: false },
+        { name: 'PathOnClient', type: 'string', length: 500, nillable: false },
+        { name: 'VersionData', type: 'base64', nillable: false },
+        { name: 'FirstPublishLocationId', type: 'reference', referenceTo: ['Account', 'Contact', 'Lead', 'Opportunity', 'EmailMessage'] }
+    ],
+    ContentDocumentLink: [
+        { name: 'ContentDocumentId', type: 'reference', nillable: false, referenceTo: ['ContentDocument'] },
+        { name: 'LinkedEntityId', type: 'reference', nillable: false, referenceTo: ['Account', 'Contact', 'Lead', 'Opportunity', 'EmailMessage'] },
+        {
+            name: 'ShareType', type: 'picklist', restrictedPicklist: true,
+            picklistValues: DemoSalesforceService.picklist(['V', 'C', 'I'], 'V')
+        }
+    ]
+};
+
+DemoSalesforceService.KEY_PREFIXES = {
+    Account: '001',
+    Contact: '003',
+    Lead: '00Q',
+    Opportunity: '006',
+    Task: '00T',
+    Event: '00U',
+    EmailMessage: '02s',
+    ContentVersion: '068'
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DemoSalesforceService;
+} else {
+    window.DemoSalesforceService = DemoSalesforceService;
+}
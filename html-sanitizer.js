@@ -0,0 +1,167 @@
+/**
+ * HTML Email Sanitizer
+ * Cleans Outlook HTML bodies before they are stored in EmailMessage.HtmlBody:
+ * removes scripts, tracking pixels and external resources, handles inline
+ * cid: images and trims long quoted reply chains
+ */
+
+class HtmlSanitizer {
+    constructor(options = {}) {
+        // 'upload' keeps a placeholder and reports the image; 'drop' removes it silently
+        this.inlineImageMode = options.inlineImageMode || 'drop';
+        this.maxLength = options.maxLength || 32000;
+    }
+
+    /**
+     * Sanitize an HTML body
+     * @param {string} html - Raw HTML from Office.CoercionType.Html
+     * @returns {Object} { html, inlineImages: [content ids], trimmed }
+     */
+    sanitize(html) {
+        const doc = new DOMParser().parseFromString(html || '', 'text/html');
+
+        HtmlSanitizer.BLOCKED_TAGS.forEach(tag => {
+            doc.querySelectorAll(tag).forEach(element => element.remove());
+        });
+
+        doc.querySelectorAll('style').forEach(style => {
+            style.textContent = HtmlSanitizer.stripExternalUrls(style.textContent);
+        });
+
+        doc.querySelectorAll('img').forEach(image => {
+            const src = (image.getAttribute('src') || '').trim();
+            if (/^cid:/i.test(src)) {
+                if (this.inlineImageMode === 'upload') {
+                    // Marked so only images that survive trimming are reported
+                    const marker = doc.createElement('span');
+                    marker.setAttribute('data-inline-image', src.substring(4));
+                    marker.textContent = `[image: ${image.getAttribute('alt') || src.substring(4)}]`;
+                    image.replaceWith(marker);
+                } else {
+                    image.remove();
+                }
+            } else if (!/^data:image\//i.test(src)) {
+                // Remote images are tracking pixels or external resources
+                image.remove();
+            }
+        });
+
+        doc.querySelectorAll('*').forEach(element => {
+            Array.from(element.attributes).forEach(attribute => {
+                const name = attribute.name.toLowerCase();
+                const value = attribute.value.trim();
+                if (name.startsWith('on') || name === 'background' || name === 'srcset') {
+                    element.removeAttribute(attribute.name);
+                } else if ((name === 'href' || name === 'src' || name === 'action') && /^(javascript|vbscript):/i.test(value)) {
+                    element.removeAttribute(attribute.name);
+                } else if (name === 'style') {
+                    element.setAttribute('style', HtmlSanitizer.stripExternalUrls(value));
+                }
+            });
+        });
+
+        let trimmed = false;
+        if (doc.body.innerHTML.length > this.maxLength) {
+            this.removeQuotedReplies(doc);
+            trimmed = true;
+        }
+        if (doc.body.innerHTML.length > this.maxLength) {
+            this.truncate(doc.body, this.maxLength - HtmlSanitizer.TRUNCATION_NOTE.length);
+            doc.body.insertAdjacentHTML('beforeend', HtmlSanitizer.TRUNCATION_NOTE);
+        }
+
+        const inlineImages = [];
+        doc.querySelectorAll('span[data-inline-image]').forEach(marker => {
+            inlineImages.push(marker.getAttribute('data-inline-image'));
+            marker.replaceWith(doc.createTextNode(marker.textContent));
+        });
+
+        return { html: doc.body.innerHTML, inlineImages, trimmed };
+    }
+
+    /**
+     * Shorten an element's HTML to at most maxLength characters without cutting a tag:
+     * whole nodes are kept while they fit, the first one that does not is shortened
+     * (elements recursively, text by characters) and everything after it is removed
+     */
+    truncate(element, maxLength) {
+        let remaining = maxLength;
+        let full = false;
+        Array.from(element.childNodes).forEach(node => {
+            const length = HtmlSanitizer.htmlLength(node);
+            if (!full && length <= remaining) {
+                remaining -= length;
+                return;
+            }
+
+            const tags = node.nodeType === 1 ? length - node.innerHTML.length : 0;
+            if (!full && node.nodeType === 1 && tags < remaining) {
+                this.truncate(node, remaining - tags);
+            } else if (!full && node.nodeType === 3 && remaining > 0) {
+                let text = node.data.substring(0, remaining);
+                while (text && HtmlSanitizer.htmlLength(node.ownerDocument.createTextNode(text)) > remaining) {
+                    text = text.slice(0, -1);
+                }
+                node.data = text;
+            } else {
+                node.remove();
+            }
+            full = true;
+        });
+    }
+
+    /**
+     * Remove quoted reply chains (Outlook, Gmail and generic blockquotes)
+     */
+    removeQuotedReplies(doc) {
+        // Outlook puts the reply header in divRplyFwdMsg and the quoted thread after it
+        const replyHeader = doc.getElementById('divRplyFwdMsg') || doc.getElementById('appendonsend');
+        if (replyHeader) {
+            let node = replyHeader;
+            while (node) {
+                const next = node.nextSibling;
+                node.remove();
+                node = next;
+            }
+        }
+
+        doc.querySelectorAll('.gmail_quote, blockquote').forEach(quote => quote.remove());
+        doc.body.insertAdjacentHTML('beforeend', '<p><i>[Quoted replies removed]</i></p>');
+    }
+
+    /**
+     * Length of a node as serialized into innerHTML
+     */
+    static htmlLength(node) {
+        if (node.nodeType === 1) {
+            return node.outerHTML.length;
+        }
+        if (node.nodeType === 3) {
+            return node.data.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\u00a0/g, '&nbsp;').length;
+        }
+        return node.nodeType === 8 ? node.data.length + 7 : 0;
+    }
+
+    /**
+     * Remove url(...) references to remote resources from CSS text
+     */
+    static stripExternalUrls(css) {
+        return css
+            .replace(/@import[^;]+;?/gi, '')
+            .replace(/url\(\s*(['"]?)(?!data:)[^)]*\1\s*\)/gi, 'none');
+    }
+}
+
+HtmlSanitizer.BLOCKED_TAGS = [
+    'script', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+    'link', 'meta', 'base', 'form', 'input', 'button', 'select', 'textarea',
+    'audio', 'video', 'source', 'svg', 'math'
+];
+
+HtmlSanitizer.TRUNCATION_NOTE = '<p><i>[Email truncated]</i></p>';
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HtmlSanitizer;
+} else {
+    window.HtmlSanitizer = HtmlSanitizer;
+}
@@ -0,0 +1,252 @@
+/**
+ * Salesforce Metadata Service
+ * Describes objects, fields and page layouts through the REST describe
+ * resources and the UI API. Results are cached per connection and
+ * revalidated with ETag / If-Modified-Since once they are older than maxAge.
+ */
+
+class MetadataService {
+    /**
+     * @param {SalesforceService} service - Service used for API requests
+     * @param {Object} options - { metadataMaxAgeMinutes }
+     */
+    constructor(service, options = {}) {
+        this.service = service;
+        // Cached metadata younger than this is used without asking Salesforce
+        this.maxAge = (options.metadataMaxAgeMinutes || 60) * 60 * 1000;
+        this.entries = new Map();
+        this.pending = new Map();
+        this.store = typeof SecureStorage !== 'undefined' && typeof indexedDB !== 'undefined'
+            ? new SecureStorage.IndexedDbStore('salesforce-metadata', 'describe')
+            : null;
+
+        service.metadata = this;
+    }
+
+    /**
+     * List the org's objects (global describe)
+     */
+    async getObjects() {
+        const result = await this.fetchCached('sobjects/');
+        return result.sobjects || [];
+    }
+
+    /**
+     * Describe an object: fields, picklist values, record types
+     */
+    async describe(objectType) {
+        return await this.fetchCached(`sobjects/${encodeURIComponent(objectType)}/describe/`);
+    }
+
+    /**
+     * Get the describe of one field, or null if the field does not exist
+     */
+    async getField(objectType, fieldName) {
+        const describe = await this.describe(objectType);
+        const name = fieldName.toLowerCase();
+        return describe.fields.find(field => field.name.toLowerCase() === name) || null;
+    }
+
+    /**
+     * Fields that must be supplied when creating a record
+     */
+    async getRequiredFields(objectType) {
+        const describe = await this.describe(objectType);
+        return describe.fields.filter(field => field.createable && !field.nillable && !field.defaultedOnCreate);
+    }
+
+    /**
+     * Active values of a picklist field
+     * @returns {Array} [{ value, label, defaultValue }]
+     */
+    async getPicklistValues(objectType, fieldName) {
+        const field = await this.getField(objectType, fieldName);
+        return (field && field.picklistValues ? field.picklistValues : [])
+            .filter(entry => entry.active)
+            .map(entry => ({ value: entry.value, label: entry.label || entry.value, defaultValue: !!entry.defaultValue }));
+    }
+
+    /**
+     * Field API names of the create or edit layout, in layout order
+     * Uses the UI API; returns null when layouts are unavailable (e.g. API access limits).
+     * @param {string} mode - 'Create', 'Edit' or 'View'
+     */
+    async getLayoutFields(objectType, mode = 'Create') {
+        try {
+            const layout = await this.fetchCached(`ui-api/layout/${encodeURIComponent(objectType)}?mode=${mode}`);
+            const fields = [];
+            (layout.sections || []).forEach(section => {
+                (section.layoutRows || []).forEach(row => {
+                    (row.layoutItems || []).forEach(item => {
+                        (item.layoutComponents || []).forEach(component => {
+                            if (component.componentType === 'Field' && component.apiName && !fields.includes(component.apiName)) {
+                                fields.push(component.apiName);
+                            }
+                        });
+                    });
+                });
+            });
+            return fields;
+        } catch (error) {
+            console.warn(`Layout unavailable for ${objectType}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Drop fields the org does not have (or the user cannot see) from a field list
+     * Relationship paths like Account.Name are kept when the relationship exists.
+     */
+    async filterFields(objectType, fieldNames) {
+        const describe = await this.describe(objectType);
+        const names = new Set(describe.fields.map(field => field.name.toLowerCase()));
+        const relationships = new Set(describe.fields
+            .filter(field => field.relationshipName)
+            .map(field => field.relationshipName.toLowerCase()));
+
+        return fieldNames.filter(fieldName => {
+            const [first, rest] = fieldName.toLowerCase().split(/\.(.+)/);
+            return rest ? relationships.has(first) : names.has(first);
+        });
+    }
+
+    /**
+     * Check a record payload against the object's describe
+     * @param {string} mode - 'create' or 'update'
+     * @returns {Array} [{ field, message }]; empty when the payload is valid
+     */
+    async validateRecord(objectType, record, mode = 'create') {
+        const describe = await this.describe(objectType);
+        const fields = new Map(describe.fields.map(field => [field.name.toLowerCase(), field]));
+        const errors = [];
+
+        Object.keys(record).forEach(name => {
+            if (name === 'attributes' || name === 'Id') {
+                return;
+            }
+
+            const field = fields.get(name.toLowerCase());
+            const value = record[name];
+            if (!field) {
+                errors.push({ field: name, message: `${name} does not exist on ${objectType}` });
+            } else if (mode === 'create' ? !field.createable : !field.updateable) {
+                errors.push({ field: name, message: `${field.label} is not editable` });
+            } else if (typeof value === 'string' && /^@\{[^}]+\}$/.test(value)) {
+                // Composite reference to an earlier subrequest (@{refEmail.id}); Salesforce resolves it
+                return;
+            } else if (value === null || value === undefined || value === '') {
+                if (!field.nillable && !field.defaultedOnCreate) {
+                    errors.push({ field: name, message: `${field.label} is required` });
+                }
+            } else if (field.type === 'picklist' && field.restrictedPicklist &&
+                !field.picklistValues.some(entry => entry.active && entry.value === value)) {
+                errors.push({ field: name, message: `"${value}" is not a valid ${field.label}` });
+            } else if (typeof value === 'string' && field.length && value.length > field.length) {
+                errors.push({ field: name, message: `${field.label} is too long (max ${field.length} characters)` });
+            }
+        });
+
+        if (mode === 'create') {
+            describe.fields
+                .filter(field => field.createable && !field.nillable && !field.defaultedOnCreate && field.type !== 'boolean')
+                .filter(field => !Object.keys(record).some(name => name.toLowerCase() === field.name.toLowerCase()))
+                .forEach(field => errors.push({ field: field.name, message: `${field.label} is required` }));
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validate a payload and throw when it is invalid
+     * The thrown error carries fieldErrors for inline display. Validation is
+     * skipped when metadata cannot be loaded; Salesforce still enforces it.
+     */
+    async assertValid(objectType, record, mode = 'create') {
+        let errors;
+        try {
+            errors = await this.validateRecord(objectType, record, mode);
+        } catch (error) {
+            console.warn(`Skipping ${objectType} validation, metadata unavailable:`, error);
+            return;
+        }
+
+        if (errors.length > 0) {
+            throw new SalesforceValidationError(`Invalid ${objectType}: ${errors.map(entry => entry.message).join('; ')}`, {
+                fieldErrors: errors
+            });
+        }
+    }
+
+    /**
+     * Get a metadata resource, sharing concurrent requests for the same resource
+     * @param {string} endpoint - Path relative to the API version
+     */
+    fetchCached(endpoint) {
+        const connectionId = this.service.getActiveConnectionId ? this.service.getActiveConnectionId() : null;
+        const key = `${connectionId || 'default'}:${this.service.apiVersion}:${endpoint}`;
+
+        if (!this.pending.has(key)) {
+            this.pending.set(key, this.load(key, endpoint).finally(() => {
+                this.pending.delete(key);
+            }));
+        }
+        return this.pending.get(key);
+    }
+
+    async load(key, endpoint) {
+        let entry = this.entries.get(key);
+        if (!entry && this.store) {
+            entry = await this.store.get(key).catch(() => null);
+        }
+        if (entry && Date.now() - entry.checkedAt < this.maxAge) {
+            this.entries.set(key, entry);
+            return entry.body;
+        }
+
+        // Revalidate: Salesforce answers 304 when the metadata has not changed
+        const headers = {};
+        if (entry && entry.etag) {
+            headers['If-None-Match'] = entry.etag;
+        }
+        if (entry && entry.lastModified) {
+            headers['If-Modified-Since'] = entry.lastModified;
+        }
+
+        let response;
+        try {
+            // Revalidating is optional when a copy exists; it waits while API calls run low
+            response = await this.service.apiRequest(endpoint, { headers, essential: !entry });
+        } catch (error) {
+            if (entry && error instanceof SalesforceReserveError) {
+                this.entries.set(key, entry);
+                return entry.body;
+            }
+            throw error;
+        }
+        if (response.status === 304 && entry) {
+            entry.checkedAt = Date.now();
+        } else if (response.ok) {
+            entry = {
+                body: await response.json(),
+                etag: response.headers.get('ETag'),
+                lastModified: response.headers.get('Last-Modified') || new Date().toUTCString(),
+                checkedAt: Date.now()
+            };
+        } else {
+            const errorText = await response.text();
+            throw SalesforceError.fromResponse(response.status, errorText, response.headers.get('Retry-After'));
+        }
+
+        this.entries.set(key, entry);
+        if (this.store) {
+            this.store.set(key, entry).catch(error => console.warn('Unable to cache metadata:', error));
+        }
+        return entry.body;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MetadataService;
+} else {
+    window.MetadataService = MetadataService;
+}
@@ -0,0 +1,302 @@
+/**
+ * Salesforce Outbox
+ * Durable queue for logging actions that failed because Salesforce could not
+ * be reached (network loss, 503, REQUEST_LIMIT_EXCEEDED). Queued items are
+ * retried with exponential backoff, honoring Retry-After, until they succeed
+ * or run out of attempts; the user can then retry or discard them.
+ * The queue lives in IndexedDB (encrypted, it holds email content) and is
+ * shared by the task pane and the ribbon commands.
+ */
+
+class OutboxService {
+    /**
+     * @param {SalesforceService} service - Service that performs the queued operations
+     * @param {Object} options - { outboxMaxAttempts }
+     */
+    constructor(service, options = {}) {
+        this.service = service;
+        this.maxAttempts = options.outboxMaxAttempts || 8;
+        this.id = Math.random().toString(36).substring(2);
+        this.listeners = [];
+        this.timer = null;
+        this.processing = false;
+        // Serializes read-modify-write cycles on the stored queue
+        this.writing = Promise.resolve();
+        this.memoryStore = new SecureStorage.MemoryStore();
+        this.durableStore = null;
+
+        // Other surfaces announce queue changes here
+        this.channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel('salesforce-outbox') : null;
+        if (this.channel) {
+            this.channel.onmessage = () => this.changed(false);
+        }
+        if (typeof window !== 'undefined') {
+            window.addEventListener('online', () => this.processQueue());
+        }
+    }
+
+    /**
+     * Register a callback for queue changes; receives the queued items
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Run an operation now, queueing it if Salesforce cannot be reached
+     * @param {string} kind - Key of OutboxService.OPERATIONS
+     * @param {Object} payload - Operation arguments; must survive JSON serialization
+     * @param {Object} options - { key, label }; key (e.g. the internetMessageId)
+     *   keeps the same action from being queued twice
+     * @returns {Object} { queued: false, result } or { queued: true, item }
+     */
+    async submit(kind, payload, options = {}) {
+        try {
+            return { queued: false, result: await OutboxService.OPERATIONS[kind](this.service, payload, false) };
+        } catch (error) {
+            if (!OutboxService.isRetryable(error)) {
+                throw error;
+            }
+            console.warn(`Queueing ${kind} after failure:`, error);
+            return { queued: true, item: await this.enqueue(kind, payload, options, error) };
+        }
+    }
+
+    /**
+     * Add an operation to the queue, or return the queued item with the same key
+     */
+    async enqueue(kind, payload, options = {}, error = null) {
+        const connection = this.service.getConnectionInfo();
+        const item = await this.update(items => {
+            const existing = options.key && items.find(entry => entry.kind === kind && entry.key === options.key &&
+                entry.connectionId === connection.connectionId);
+            if (existing) {
+                return existing;
+            }
+
+            const created = {
+                id: `${Date.now()}-${Math.random().toString(36).substring(2, 8)}`,
+                kind: kind,
+                key: options.key || null,
+                label: options.label || kind,
+                payload: payload,
+                connectionId: connection.connectionId,
+                org: connection.name,
+                status: 'pending',
+                attempts: error ? 1 : 0,
+                lastError: error ? error.userMessage || error.message : null,
+                nextAttemptAt: error ? Date.now() + OutboxService.retryDelay(error, 1) : Date.now(),
+                createdAt: Date.now()
+            };
+            items.push(created);
+            return created;
+        });
+
+        this.schedule();
+        return item;
+    }
+
+    /**
+     * Get the queued items, oldest first
+     */
+    async getItems() {
+        return (await this.getStore().get(OutboxService.QUEUE_KEY)) || [];
+    }
+
+    /**
+     * Where the queue is kept: like the tokens, only in memory on shared computers
+     */
+    getStore() {
+        const supported = typeof indexedDB !== 'undefined' && typeof crypto !== 'undefined' && crypto.subtle;
+        if (!supported || this.service.tokenStore instanceof SecureStorage.MemoryStore) {
+            return this.memoryStore;
+        }
+        if (!this.durableStore) {
+            this.durableStore = new SecureStorage.EncryptedIndexedDbStore('salesforce-outbox', 'queue');
+        }
+        return this.durableStore;
+    }
+
+    /**
+     * Send every due item of the active connection
+     * Only one surface processes the queue at a time. Automatic runs wait
+     * while the org's API calls are below the reserve; a user's Retry does not.
+     * @param {boolean} essential - Send even when API calls run low
+     */
+    async processQueue(essential = false) {
+        if (this.processing || (typeof navigator !== 'undefined' && navigator.onLine === false)) {
+            return;
+        }
+        if (!essential && this.service.isApiLimitLow()) {
+            this.schedule(OutboxService.RESERVE_DELAY);
+            return;
+        }
+
+        const lock = JSON.parse(localStorage.getItem(OutboxService.LOCK_KEY) || 'null');
+        if (lock && lock.owner !== this.id && Date.now() - lock.at < OutboxService.LOCK_TIMEOUT) {
+            this.schedule(OutboxService.LOCK_TIMEOUT);
+            return;
+        }
+
+        this.processing = true;
+        localStorage.setItem(OutboxService.LOCK_KEY, JSON.stringify({ owner: this.id, at: Date.now() }));
+        try {
+            const connectionId = this.service.getConnectionInfo().connectionId;
+            const due = (await this.getItems()).filter(item => item.status === 'pending' &&
+                item.connectionId === connectionId && item.nextAttemptAt <= Date.now());
+            for (const item of due) {
+                if (!(await this.send(item))) {
+                    // Still unreachable; later items would fail the same way
+                    break;
+                }
+            }
+        } finally {
+            this.processing = false;
+            localStorage.removeItem(OutboxService.LOCK_KEY);
+            this.schedule();
+        }
+    }
+
+    /**
+     * Attempt one queued item
+     * @returns {boolean} false when Salesforce is still unreachable
+     */
+    async send(item) {
+        try {
+            await OutboxService.OPERATIONS[item.kind](this.service, item.payload, true);
+            await this.remove(item.id);
+            return true;
+        } catch (error) {
+            const retryable = OutboxService.isRetryable(error);
+            await this.update(items => {
+                const entry = items.find(candidate => candidate.id === item.id);
+                if (entry) {
+                    entry.attempts++;
+                    entry.lastError = error.userMessage || error.message;
+                    entry.nextAttemptAt = Date.now() + OutboxService.retryDelay(error, entry.attempts);
+                    if (!retryable || entry.attempts >= this.maxAttempts) {
+                        entry.status = 'failed';
+                    }
+                }
+            });
+            return !retryable;
+        }
+    }
+
+    /**
+     * Retry a failed item now
+     */
+    async retry(itemId) {
+        await this.update(items => {
+            const entry = items.find(candidate => candidate.id === itemId);
+            if (entry) {
+                entry.status = 'pending';
+                entry.attempts = 0;
+                entry.nextAttemptAt = Date.now();
+            }
+        });
+        await this.processQueue(true);
+    }
+
+    /**
+     * Remove an item once it was sent, or when the user discards it
+     */
+    async remove(itemId) {
+        await this.update(items => {
+            const index = items.findIndex(entry => entry.id === itemId);
+            if (index >= 0) {
+                items.splice(index, 1);
+            }
+        });
+    }
+
+    /**
+     * Apply a change to the stored queue and announce it
+     */
+    update(mutator) {
+        const run = this.writing.then(async () => {
+            const items = await this.getItems();
+            const result = mutator(items);
+            await this.getStore().set(OutboxService.QUEUE_KEY, items);
+            return result;
+        });
+        this.writing = run.catch(() => {});
+        return run.then((result) => {
+            this.changed(true);
+            return result;
+        });
+    }
+
+    async changed(broadcast) {
+        if (broadcast && this.channel) {
+            this.channel.postMessage({ type: 'outbox' });
+        }
+        const items = await this.getItems();
+        this.listeners.forEach(listener => listener(items));
+    }
+
+    /**
+     * Wake up when the next pending item is due
+     */
+    async schedule(delay = null) {
+        clearTimeout(this.timer);
+        if (delay === null) {
+            const connectionId = this.service.getConnectionInfo().connectionId;
+            const pending = (await this.getItems())
+                .filter(item => item.status === 'pending' && item.connectionId === connectionId);
+            if (pending.length === 0) {
+                return;
+            }
+            delay = Math.max(Math.min(...pending.map(item => item.nextAttemptAt)) - Date.now(), 0);
+        }
+        this.timer = setTimeout(() => this.processQueue(), delay);
+    }
+
+    /**
+     * Whether a failure is temporary: no connection, service unavailable or API limits
+     */
+    static isRetryable(error) {
+        return error instanceof SalesforceNetworkError || error instanceof SalesforceLimitError ||
+            (typeof navigator !== 'undefined' && navigator.onLine === false);
+    }
+
+    /**
+     * Delay before the next attempt: Retry-After when given, otherwise exponential backoff with jitter
+     */
+    static retryDelay(error, attempts) {
+        if (error && error.retryAfter) {
+            const seconds = Number(error.retryAfter);
+            const delay = Number.isNaN(seconds) ? Date.parse(error.retryAfter) - Date.now() : seconds * 1000;
+            if (delay >= 0) {
+                return delay;
+            }
+        }
+
+        const backoff = Math.min(OutboxService.BASE_DELAY * Math.pow(2, attempts - 1), OutboxService.MAX_DELAY);
+        return Math.round(backoff * (0.8 + Math.random() * 0.4));
+    }
+}
+
+OutboxService.QUEUE_KEY = 'outbox';
+OutboxService.LOCK_KEY = 'salesforceOutboxLock';
+OutboxService.LOCK_TIMEOUT = 60 * 1000;
+OutboxService.BASE_DELAY = 30 * 1000;
+OutboxService.MAX_DELAY = 60 * 60 * 1000;
+// How long automatic sends wait before checking the API reserve again
+OutboxService.RESERVE_DELAY = 15 * 60 * 1000;
+
+// Operations that can be queued, called as (service, payload, replay). They must be idempotent:
+// logEmail skips emails already logged with the internetMessageId, and replayed
+// createActivity calls look for a Task with the activity's key first
+OutboxService.OPERATIONS = {
+    logEmail: (service, payload) => service.logEmail(payload.emailData, payload.relatedRecordId, payload.options),
+    createActivity: (service, payload, replay) => service.createActivityFromEmail(payload.emailData, payload.activityData, {
+        checkExisting: replay
+    })
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OutboxService;
+} else {
+    window.OutboxService = OutboxService;
+}
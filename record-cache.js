@@ -0,0 +1,219 @@
+/**
+ * Salesforce Record Cache
+ * Caches lookups (related records by email address, records by ID, query
+ * results) per connection, in memory and in IndexedDB, so switching between
+ * emails does not repeat the same queries. Entries expire after a TTL and are
+ * dropped as soon as the add-in writes to a record or address they contain.
+ * Shared by the task pane and the ribbon commands.
+ */
+
+class RecordCache {
+    /**
+     * @param {SalesforceService} service - Service whose lookups are cached
+     * @param {Object} options - { recordCacheMinutes }
+     */
+    constructor(service, options = {}) {
+        this.service = service;
+        this.ttl = (options.recordCacheMinutes || 5) * 60 * 1000;
+        this.entries = new Map();
+        this.pending = new Map();
+        // Bumped on every invalidation; results loaded across one are not stored
+        this.generation = 0;
+        // Serializes read-modify-write cycles on the stored index
+        this.writing = Promise.resolve();
+        this.memoryStore = new SecureStorage.MemoryStore();
+        this.durableStore = null;
+
+        // Other surfaces announce invalidations here
+        this.channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel('salesforce-cache') : null;
+        if (this.channel) {
+            this.channel.onmessage = (event) => {
+                if (event.data && event.data.type === 'invalidate') {
+                    const tags = event.data.tags;
+                    this.forget(tags);
+                    if (this.getStore() === this.memoryStore) {
+                        // Memory stores are per surface; the sender already cleaned up IndexedDB
+                        this.removeStored(entry => entry.tags.some(tag => tags.includes(tag)));
+                    }
+                }
+            };
+        }
+
+        service.cache = this;
+    }
+
+    /**
+     * Get a cached value, loading and caching it when missing or expired
+     * Concurrent requests for the same key share one load.
+     * @param {string} key - Normalized lookup key, e.g. 'related:a@x.com,b@y.com'
+     * @param {Function} loader - Loads the value from Salesforce
+     * @param {Object} options - { ttl, tags, signal }; tags are the addresses or IDs the key was built from.
+     *   IDs and addresses found in the value are added automatically. signal is the AbortSignal
+     *   the loader's requests use.
+     */
+    fetch(key, loader, options = {}) {
+        const fullKey = `${this.service.getActiveConnectionId() || 'default'}:${key}`;
+
+        if (!this.pending.has(fullKey)) {
+            this.pending.set(fullKey, this.load(fullKey, loader, options).finally(() => {
+                this.pending.delete(fullKey);
+            }));
+        }
+        // Callers get their own copy, so they cannot change the cached value
+        return this.pending.get(fullKey).then(value => RecordCache.copy(value), error => {
+            // The shared load was started by a lookup that has since been cancelled; load again
+            if (error.name === 'AbortError' && !(options.signal && options.signal.aborted)) {
+                return this.fetch(key, loader, options);
+            }
+            throw error;
+        });
+    }
+
+    async load(fullKey, loader, options) {
+        let entry = this.entries.get(fullKey);
+        if (!entry) {
+            entry = await this.getStore().get(fullKey).catch(() => null);
+        }
+        if (entry && entry.expiresAt > Date.now()) {
+            this.entries.set(fullKey, entry);
+            return entry.value;
+        }
+
+        const generation = this.generation;
+        const value = await loader();
+        if (generation !== this.generation) {
+            // A write happened while loading; the value may already be stale
+            return value;
+        }
+
+        entry = {
+            value: value,
+            tags: [...new Set(RecordCache.collectTags(options.tags || []).concat(RecordCache.collectTags(value)))],
+            expiresAt: Date.now() + (options.ttl || this.ttl)
+        };
+        this.entries.set(fullKey, entry);
+        this.updateIndex(index => {
+            index[fullKey] = { tags: entry.tags, expiresAt: entry.expiresAt };
+            return this.getStore().set(fullKey, entry);
+        }).catch(error => console.warn('Unable to cache lookup:', error));
+        return value;
+    }
+
+    /**
+     * Drop every entry that contains one of the IDs or addresses of a write
+     * @param {*} payload - Endpoint, request body or record IDs that were written
+     */
+    async invalidate(...payload) {
+        const tags = RecordCache.collectTags(payload);
+        if (tags.length === 0) {
+            return;
+        }
+
+        this.forget(tags);
+        if (this.channel) {
+            this.channel.postMessage({ type: 'invalidate', tags: tags });
+        }
+        await this.removeStored(entry => entry.tags.some(tag => tags.includes(tag)));
+    }
+
+    /**
+     * Drop all entries of a connection, e.g. on logout
+     */
+    async clear(connectionId = this.service.getActiveConnectionId()) {
+        const prefix = `${connectionId || 'default'}:`;
+        this.generation++;
+        [...this.entries.keys()].filter(key => key.startsWith(prefix)).forEach(key => this.entries.delete(key));
+        await this.removeStored((entry, key) => key.startsWith(prefix));
+    }
+
+    /**
+     * Drop matching entries from memory (this surface only)
+     */
+    forget(tags) {
+        this.generation++;
+        this.entries.forEach((entry, key) => {
+            if (entry.tags.some(tag => tags.includes(tag))) {
+                this.entries.delete(key);
+            }
+        });
+    }
+
+    /**
+     * Remove stored entries the predicate matches, along with expired ones
+     * @param {Function} predicate - (indexEntry, key) => boolean
+     */
+    removeStored(predicate) {
+        return this.updateIndex(index => Promise.all(Object.keys(index)
+            .filter(key => index[key].expiresAt <= Date.now() || predicate(index[key], key))
+            .map(key => {
+                delete index[key];
+                return this.getStore().remove(key);
+            })));
+    }
+
+    /**
+     * Apply a change to the stored index of cached keys
+     * IndexedDB stores cannot list their keys, so the index tracks them for invalidation.
+     */
+    updateIndex(mutator) {
+        const run = this.writing.then(async () => {
+            const store = this.getStore();
+            const index = (await store.get(RecordCache.INDEX_KEY)) || {};
+            await mutator(index);
+            await store.set(RecordCache.INDEX_KEY, index);
+        });
+        this.writing = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Where entries are kept: like the tokens, only in memory on shared computers
+     */
+    getStore() {
+        const supported = typeof indexedDB !== 'undefined' && typeof crypto !== 'undefined' && crypto.subtle;
+        if (!supported || this.service.tokenStore instanceof SecureStorage.MemoryStore) {
+            return this.memoryStore;
+        }
+        if (!this.durableStore) {
+            this.durableStore = new SecureStorage.EncryptedIndexedDbStore('salesforce-cache', 'records');
+        }
+        return this.durableStore;
+    }
+
+    /**
+     * Collect the record IDs and email addresses in a value, normalized for matching
+     * 18-character IDs are reduced to their 15-character form and addresses are lowercased.
+     */
+    static collectTags(value, tags = new Set()) {
+        if (typeof value === 'string') {
+            // Endpoints carry IDs in the path and query string, e.g. composite/sobjects?ids=a,b
+            value.split(/[/?&=,]/).forEach(part => {
+                const text = part.trim();
+                if (RecordCache.ID_PATTERN.test(text)) {
+                    tags.add(text.substring(0, 15).toLowerCase());
+                } else if (RecordCache.ADDRESS_PATTERN.test(text)) {
+                    tags.add(text.toLowerCase());
+                }
+            });
+        } else if (value && typeof value === 'object') {
+            Object.values(value).forEach(item => RecordCache.collectTags(item, tags));
+        }
+        return [...tags];
+    }
+
+    static copy(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+}
+
+RecordCache.INDEX_KEY = 'index';
+// Salesforce IDs: 15 or 18 letters and digits, always with a digit in the key prefix
+RecordCache.ID_PATTERN = /^(?=[a-zA-Z]{0,2}\d)[a-zA-Z0-9]{15}(?:[a-zA-Z0-9]{3})?$/;
+// Email addresses and internetMessageIds (<id@host>)
+RecordCache.ADDRESS_PATTERN = /^[^\s@]{1,200}@[^\s@]{1,200}$/;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RecordCache;
+} else {
+    window.RecordCache = RecordCache;
+}
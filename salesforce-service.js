@@ -3,290 +3,2011 @@
  * Handles all interactions with Salesforce REST API
  */
 
+/**
+ * SOQL Query Builder
+ * Composes SOQL statements with correctly escaped literals
+ */
+class SoqlBuilder {
+    constructor(objectType) {
+        this.objectType = SoqlBuilder.identifier(objectType);
+        this.fields = [];
+        this.conditions = [];
+        this.orderings = [];
+        this.limitValue = null;
+    }
+
+    /**
+     * Add fields to the SELECT clause
+     * @param {...string|string[]} fields - Field names (relationship paths allowed)
+     */
+    select(...fields) {
+        fields.flat().forEach(field => {
+            this.fields.push(SoqlBuilder.identifier(field));
+        });
+        return this;
+    }
+
+    /**
+     * Add a comparison condition, e.g. where('Email', '=', email)
+     */
+    where(field, operator, value) {
+        this.conditions.push(SoqlBuilder.condition(field, operator, value));
+        return this;
+    }
+
+    /**
+     * Add an IN condition for a list of values
+     */
+    whereIn(field, values) {
+        this.conditions.push(SoqlBuilder.in(field, values));
+        return this;
+    }
+
+    /**
+     * Add a LIKE condition; match is 'contains', 'startsWith' or 'endsWith'
+     */
+    whereLike(field, value, match = 'contains') {
+        this.conditions.push(SoqlBuilder.like(field, value, match));
+        return this;
+    }
+
+    /**
+     * Add a group of conditions joined with OR
+     * @param {string[]} conditions - Conditions built with the static helpers
+     */
+    whereAny(conditions) {
+        if (conditions.length > 0) {
+            this.conditions.push(`(${conditions.join(' OR ')})`);
+        }
+        return this;
+    }
+
+    /**
+     * Add an ORDER BY field
+     */
+    orderBy(field, direction = 'ASC') {
+        const dir = String(direction).toUpperCase();
+        if (dir !== 'ASC' && dir !== 'DESC') {
+            throw new Error(`Invalid sort direction: ${direction}`);
+        }
+        this.orderings.push(`${SoqlBuilder.identifier(field)} ${dir}`);
+        return this;
+    }
+
+    /**
+     * Set the LIMIT clause
+     */
+    limit(count) {
+        this.limitValue = SoqlBuilder.integer(count);
+        return this;
+    }
+
+    /**
+     * Build the SOQL statement
+     */
+    build() {
+        if (this.fields.length === 0) {
+            throw new Error('SOQL query requires at least one field');
+        }
+
+        let soql = `SELECT ${this.fields.join(', ')} FROM ${this.objectType}`;
+        if (this.conditions.length > 0) {
+            soql += ` WHERE ${this.conditions.join(' AND ')}`;
+        }
+        if (this.orderings.length > 0) {
+            soql += ` ORDER BY ${this.orderings.join(', ')}`;
+        }
+        if (this.limitValue !== null) {
+            soql += ` LIMIT ${this.limitValue}`;
+        }
+        return soql;
+    }
+
+    toString() {
+        return this.build();
+    }
+
+    /**
+     * Build a comparison condition
+     */
+    static condition(field, operator, value) {
+        const op = String(operator).toUpperCase();
+        if (!['=', '!=', '<', '<=', '>', '>=', 'LIKE'].includes(op)) {
+            throw new Error(`Invalid SOQL operator: ${operator}`);
+        }
+        return `${SoqlBuilder.identifier(field)} ${op} ${SoqlBuilder.literal(value)}`;
+    }
+
+    /**
+     * Build an IN condition
+     */
+    static in(field, values) {
+        if (!values || values.length === 0) {
+            throw new Error('IN condition requires at least one value');
+        }
+        return `${SoqlBuilder.identifier(field)} IN (${values.map(SoqlBuilder.literal).join(', ')})`;
+    }
+
+    /**
+     * Build a LIKE condition with wildcards escaped in the value
+     */
+    static like(field, value, match = 'contains') {
+        const escaped = SoqlBuilder.escapeLike(value);
+        const patterns = {
+            contains: `%${escaped}%`,
+            startsWith: `${escaped}%`,
+            endsWith: `%${escaped}`
+        };
+        if (!patterns[match]) {
+            throw new Error(`Invalid LIKE match mode: ${match}`);
+        }
+        return `${SoqlBuilder.identifier(field)} LIKE '${patterns[match]}'`;
+    }
+
+    /**
+     * Format a JavaScript value as a SOQL literal
+     */
+    static literal(value) {
+        if (value === null || value === undefined) {
+            return 'null';
+        }
+        if (typeof value === 'boolean') {
+            return value ? 'true' : 'false';
+        }
+        if (typeof value === 'number') {
+            if (!Number.isFinite(value)) {
+                throw new Error(`Invalid SOQL number: ${value}`);
+            }
+            return String(value);
+        }
+        if (value instanceof Date) {
+            // SOQL dateTime literals are unquoted and take no milliseconds
+            return value.toISOString().replace(/\.\d{3}Z$/, 'Z');
+        }
+        return `'${SoqlBuilder.escapeLiteral(value)}'`;
+    }
+
+    /**
+     * Escape a value for use inside a quoted SOQL string literal
+     */
+    static escapeLiteral(value) {
+        return String(value)
+            .replace(/\\/g, '\\\\')
+            .replace(/'/g, '\\\'')
+            .replace(/"/g, '\\"')
+            .replace(/\n/g, '\\n')
+            .replace(/\r/g, '\\r')
+            .replace(/\t/g, '\\t')
+            .replace(/\f/g, '\\f')
+            .replace(/\x08/g, '\\b');
+    }
+
+    /**
+     * Escape a value for a LIKE pattern, including the % and _ wildcards
+     */
+    static escapeLike(value) {
+        return SoqlBuilder.escapeLiteral(value)
+            .replace(/%/g, '\\%')
+            .replace(/_/g, '\\_');
+    }
+
+    /**
+     * Validate an object or field name (relationship paths allowed)
+     */
+    static identifier(name) {
+        if (typeof name !== 'string' || !/^[A-Za-z][A-Za-z0-9_]*(\.[A-Za-z][A-Za-z0-9_]*)*$/.test(name)) {
+            throw new Error(`Invalid SOQL identifier: ${name}`);
+        }
+        return name;
+    }
+
+    /**
+     * Validate a non-negative integer (LIMIT and OFFSET values)
+     */
+    static integer(value) {
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < 0) {
+            throw new Error(`Invalid SOQL integer: ${value}`);
+        }
+        return number;
+    }
+}
+
+/**
+ * SOSL Search Builder
+ * Composes SOSL statements with reserved characters escaped in the search term
+ */
+class SoslBuilder {
+    constructor(searchTerm) {
+        this.searchTerm = SoslBuilder.escape(searchTerm);
+        this.scope = 'ALL FIELDS';
+        this.returns = [];
+        this.limitValue = null;
+    }
+
+    /**
+     * Set the search group: 'ALL', 'NAME', 'EMAIL' or 'PHONE'
+     */
+    in(group) {
+        const scope = String(group).toUpperCase();
+        if (!['ALL', 'NAME', 'EMAIL', 'PHONE'].includes(scope)) {
+            throw new Error(`Invalid SOSL search group: ${group}`);
+        }
+        this.scope = `${scope} FIELDS`;
+        return this;
+    }
+
+    /**
+     * Add an object to the RETURNING clause
+     * @param {string} objectType - Object API name
+     * @param {string[]} fields - Fields to return
+     * @param {Object} options - Optional { where: [conditions], limit }
+     */
+    returning(objectType, fields, options = {}) {
+        let clause = `${SoqlBuilder.identifier(objectType)}(${fields.map(SoqlBuilder.identifier).join(', ')}`;
+        if (options.where && options.where.length > 0) {
+            clause += ` WHERE ${options.where.join(' AND ')}`;
+        }
+        if (options.limit !== undefined) {
+            clause += ` LIMIT ${SoqlBuilder.integer(options.limit)}`;
+        }
+        this.returns.push(clause + ')');
+        return this;
+    }
+
+    /**
+     * Set the overall LIMIT clause
+     */
+    limit(count) {
+        this.limitValue = SoqlBuilder.integer(count);
+        return this;
+    }
+
+    /**
+     * Build the SOSL statement
+     */
+    build() {
+        let sosl = `FIND {${this.searchTerm}} IN ${this.scope}`;
+        if (this.returns.length > 0) {
+            sosl += ` RETURNING ${this.returns.join(', ')}`;
+        }
+        if (this.limitValue !== null) {
+            sosl += ` LIMIT ${this.limitValue}`;
+        }
+        return sosl;
+    }
+
+    toString() {
+        return this.build();
+    }
+
+    /**
+     * Escape SOSL reserved characters in a search term
+     */
+    static escape(term) {
+        return String(term).replace(/[?&|!{}[\]()^~*:\\"'+-]/g, '\\$&');
+    }
+}
+
+/**
+ * Salesforce API Errors
+ * Typed errors built from the REST error body [{ errorCode, message, fields }],
+ * so callers can tell a permission problem from "no records found" or an outage.
+ */
+class SalesforceError extends Error {
+    /**
+     * @param {string} message - Technical message for logs
+     * @param {Object} details - { status, errors, fieldErrors, duplicates, retryAfter }
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = details.status || null;
+        this.errors = details.errors || [];
+        this.errorCode = this.errors.length > 0 ? this.errors[0].errorCode || null : null;
+        this.fieldErrors = details.fieldErrors || SalesforceError.toFieldErrors(this.errors);
+        this.duplicates = details.duplicates || [];
+        this.retryAfter = details.retryAfter || null;
+    }
+
+    /**
+     * Message for the user: what went wrong and what they can do about it
+     */
+    get userMessage() {
+        return this.errors.length > 0 ? this.errors.map(error => error.message).join(' ') : this.message;
+    }
+
+    /**
+     * Build the error matching an error response
+     * @param {number} status - HTTP status
+     * @param {string} errorText - Response body
+     * @param {string} retryAfter - Retry-After header, if any
+     */
+    static fromResponse(status, errorText, retryAfter = null) {
+        return SalesforceError.create(status, SalesforceError.parseBody(errorText), {
+            message: `API call failed: ${status} - ${errorText}`,
+            duplicates: SalesforceService.parseDuplicates(errorText),
+            retryAfter: retryAfter
+        });
+    }
+
+    /**
+     * Pick the error class from the status and error codes
+     * @param {Array} errors - [{ errorCode, message, fields }]
+     * @param {Object} details - { message, duplicates, retryAfter }
+     */
+    static create(status, errors, details = {}) {
+        const codes = errors.map(error => error.errorCode);
+        const matches = list => codes.some(code => list.includes(code));
+
+        let ErrorClass = SalesforceError;
+        if (status === 401 || matches(SalesforceError.AUTH_CODES)) {
+            ErrorClass = SalesforceAuthError;
+        } else if (status === 429 || matches(SalesforceError.LIMIT_CODES)) {
+            // REQUEST_LIMIT_EXCEEDED is sent as a 403, so check limits before permissions
+            ErrorClass = SalesforceLimitError;
+        } else if (status === 403 || matches(SalesforceError.PERMISSION_CODES)) {
+            ErrorClass = SalesforcePermissionError;
+        } else if (status === 404 || matches(SalesforceError.NOT_FOUND_CODES)) {
+            ErrorClass = SalesforceNotFoundError;
+        } else if ([502, 503, 504].includes(status)) {
+            ErrorClass = SalesforceNetworkError;
+        } else if (errors.some(error => (error.fields || []).length > 0) || matches(SalesforceError.VALIDATION_CODES)) {
+            ErrorClass = SalesforceValidationError;
+        }
+
+        return new ErrorClass(details.message || `Salesforce request failed: ${status}`, Object.assign({}, details, {
+            status: status,
+            errors: errors
+        }));
+    }
+
+    /**
+     * Parse a REST error body into [{ errorCode, message, fields }]
+     * Bodies that are not JSON (e.g. a gateway's HTML page) give an empty list.
+     */
+    static parseBody(errorText) {
+        let errors;
+        try {
+            errors = JSON.parse(errorText);
+        } catch (e) {
+            return [];
+        }
+
+        return (Array.isArray(errors) ? errors : [errors])
+            .filter(error => error && error.message)
+            .map(error => ({ errorCode: error.errorCode || null, message: error.message, fields: error.fields || [] }));
+    }
+
+    /**
+     * Turn parsed errors into [{ field, message, errorCode }], one entry per field
+     * Errors that are not tied to a field (e.g. validation rules) have field null.
+     */
+    static toFieldErrors(errors) {
+        return errors.flatMap(error => {
+            const fields = error.fields && error.fields.length > 0 ? error.fields : [null];
+            return fields.map(field => ({ field: field, message: error.message, errorCode: error.errorCode }));
+        });
+    }
+}
+
+SalesforceError.AUTH_CODES = ['INVALID_SESSION_ID', 'INVALID_AUTH_HEADER'];
+SalesforceError.LIMIT_CODES = ['REQUEST_LIMIT_EXCEEDED', 'TOO_MANY_APEX_REQUESTS', 'CONCURRENT_REQUESTS_LIMIT_EXCEEDED'];
+SalesforceError.PERMISSION_CODES = ['INSUFFICIENT_ACCESS', 'INSUFFICIENT_ACCESS_OR_READONLY',
+    'INSUFFICIENT_ACCESS_ON_CROSS_REFERENCE_ENTITY', 'API_DISABLED_FOR_ORG', 'API_CURRENTLY_DISABLED',
+    'FUNCTIONALITY_NOT_ENABLED', 'INVALID_TYPE'];
+SalesforceError.NOT_FOUND_CODES = ['NOT_FOUND', 'ENTITY_IS_DELETED'];
+SalesforceError.VALIDATION_CODES = ['REQUIRED_FIELD_MISSING', 'FIELD_CUSTOM_VALIDATION_EXCEPTION',
+    'INVALID_EMAIL_ADDRESS', 'STRING_TOO_LONG', 'INVALID_OR_NULL_FOR_RESTRICTED_PICKLIST',
+    'FIELD_INTEGRITY_EXCEPTION', 'DUPLICATE_VALUE', 'DUPLICATES_DETECTED', 'INVALID_FIELD_FOR_INSERT_UPDATE'];
+
+/**
+ * The session expired or was revoked; the user has to sign in again
+ */
+class SalesforceAuthError extends SalesforceError {
+    get userMessage() {
+        return 'Your Salesforce session has expired. Please sign in to Salesforce again.';
+    }
+}
+
+/**
+ * The user lacks access to an object, field or record, or the org has the API disabled
+ */
+class SalesforcePermissionError extends SalesforceError {
+    get userMessage() {
+        const detail = this.errors.length > 0 ? ` (${this.errors[0].message})` : '';
+        return `You do not have permission to do this in Salesforce${detail}. Ask your Salesforce administrator for access.`;
+    }
+}
+
+/**
+ * Salesforce rejected the record; fieldErrors says which fields and why
+ */
+class SalesforceValidationError extends SalesforceError {
+    /**
+     * API names of the fields that failed validation
+     */
+    get fields() {
+        return [...new Set(this.fieldErrors.map(error => error.field).filter(Boolean))];
+    }
+
+    get userMessage() {
+        const messages = [...new Set(this.fieldErrors.map(error => error.message))];
+        return `Salesforce rejected the record: ${messages.join('; ') || this.message}`;
+    }
+}
+
+/**
+ * API request limits were reached; retryAfter says when to try again, if known
+ */
+class SalesforceLimitError extends SalesforceError {
+    get userMessage() {
+        return 'Your org has reached its Salesforce API limits. Please try again later.';
+    }
+}
+
+/**
+ * A non-essential request was not sent because the org is close to its daily API limit
+ */
+class SalesforceReserveError extends SalesforceLimitError {
+    get userMessage() {
+        return this.message;
+    }
+}
+
+/**
+ * Salesforce could not be reached (no connection, or the service is unavailable)
+ */
+class SalesforceNetworkError extends SalesforceError {
+    get userMessage() {
+        return 'Salesforce could not be reached. Check your connection and try again.';
+    }
+}
+
+/**
+ * The record or resource does not exist, or is not visible to the user
+ */
+class SalesforceNotFoundError extends SalesforceError {
+    get userMessage() {
+        return 'The record was not found in Salesforce. It may have been deleted, or you may not have access to it.';
+    }
+}
+
 class SalesforceService {
     constructor() {
         this.baseUrl = null;
         this.accessToken = null;
         this.instanceUrl = null;
-        this.apiVersion = 'v58.0';
+        // Each connection may pin its own API version; this is the default
+        this.defaultApiVersion = (typeof SALESFORCE_CONFIG !== 'undefined' && SALESFORCE_CONFIG.apiVersion) || 'v58.0';
+        this.apiVersion = this.defaultApiVersion;
+        // Optional SessionManager that refreshes tokens ahead of expiry
+        this.sessionManager = null;
+        // Optional MetadataService used to validate payloads and field lists
+        this.metadata = null;
+        // Optional RecordCache for lookups; writes through apiCall invalidate it
+        this.cache = null;
+        // EmailMessage field that stores the Outlook internetMessageId
+        this.messageIdField = (typeof SALESFORCE_CONFIG !== 'undefined' && SALESFORCE_CONFIG.messageIdField) || 'MessageIdentifier';
+        // Task field that stores the add-in's key for each activity, so replayed saves are not duplicated
+        this.activityKeyField = (typeof SALESFORCE_CONFIG !== 'undefined' && SALESFORCE_CONFIG.activityKeyField) || null;
+        // Whether each object has active duplicate rules, per connection
+        this.duplicateRules = new Map();
+        // Apex REST resource that converts Leads (see force-app/main/default/classes/LeadConvertResource.cls)
+        this.leadConvertPath = (typeof SALESFORCE_CONFIG !== 'undefined' && SALESFORCE_CONFIG.leadConvertPath) || '/services/apexrest/LeadConvert';
+        // Non-essential refreshes are deferred once less than this share of the daily API limit remains
+        this.apiLimitReservePercent = typeof SALESFORCE_CONFIG !== 'undefined' && SALESFORCE_CONFIG.apiLimitReservePercent !== undefined
+            ? SALESFORCE_CONFIG.apiLimitReservePercent : 10;
+        // Daily API usage reported by Salesforce, per connection
+        this.apiUsage = new Map();
+
+        // Session of the active connection, cached in memory and persisted to the token store
+        this.session = null;
+        this.sessionLoaded = false;
+        this.sessionListeners = [];
+        this.tokenStore = SalesforceService.createTokenStore(SalesforceService.getTokenStorageMode());
+
+        // Other surfaces (task pane, ribbon commands, sign-in dialog) announce session changes here
+        this.channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel('salesforce-session') : null;
+        if (this.channel) {
+            this.channel.onmessage = (event) => {
+                // Switching org on one surface switches it everywhere, so only the active connection matters
+                if (event.data && event.data.type === 'session' && event.data.connectionId === this.getActiveConnectionId()) {
+                    this.applySession(event.data.session);
+                    this.sessionListeners.forEach(listener => listener(event.data.session));
+                }
+            };
+        }
+    }
+
+    /**
+     * Token storage mode: 'memory' on shared machines, otherwise encrypted IndexedDB
+     */
+    static getTokenStorageMode() {
+        const configured = typeof SALESFORCE_CONFIG !== 'undefined' ? SALESFORCE_CONFIG.tokenStorage : null;
+        return localStorage.getItem('salesforceTokenStorage') || configured || 'indexeddb';
+    }
+
+    /**
+     * Create the token store for a storage mode
+     */
+    static createTokenStore(mode) {
+        if (typeof SecureStorage !== 'undefined') {
+            return SecureStorage.createTokenStore(mode);
+        }
+        // Without secure-storage.js tokens are kept in memory only
+        const values = new Map();
+        return {
+            get: async key => values.get(key) || null,
+            set: async (key, value) => { values.set(key, value); },
+            remove: async key => { values.delete(key); }
+        };
+    }
+
+    /**
+     * Switch between persistent and memory-only token storage
+     * @param {boolean} memoryOnly - Keep tokens only while the add-in is open
+     */
+    async setMemoryOnlyStorage(memoryOnly) {
+        const mode = memoryOnly ? 'memory' : 'indexeddb';
+        if (mode === SalesforceService.getTokenStorageMode()) {
+            return;
+        }
+
+        await this.tokenStore.remove(this.getSessionKey());
+        if (memoryOnly) {
+            localStorage.setItem('salesforceTokenStorage', 'memory');
+        } else {
+            localStorage.removeItem('salesforceTokenStorage');
+        }
+        this.tokenStore = SalesforceService.createTokenStore(mode);
+        if (this.session) {
+            await this.tokenStore.set(this.getSessionKey(), this.session);
+        }
+    }
+
+    /**
+     * Saved org connections: [{ id, name, loginUrl, apiVersion }]
+     * Connection details are not secret; their tokens live in the token store.
+     * The list is kept in the mailbox's roaming settings so it follows the user
+     * to other Outlook clients; localStorage holds this client's copy for sync reads.
+     */
+    getConnections() {
+        try {
+            return JSON.parse(localStorage.getItem('salesforceConnections') || '[]');
+        } catch (e) {
+            console.error('Error parsing saved connections:', e);
+            return [];
+        }
+    }
+
+    getActiveConnection() {
+        const connections = this.getConnections();
+        const activeId = localStorage.getItem('salesforceActiveConnection');
+        return connections.find(connection => connection.id === activeId) || connections[0] || null;
+    }
+
+    getActiveConnectionId() {
+        const connection = this.getActiveConnection();
+        return connection ? connection.id : null;
+    }
+
+    /**
+     * Token store key for a connection's session
+     */
+    getSessionKey(connectionId = this.getActiveConnectionId()) {
+        return connectionId ? `salesforceSession:${connectionId}` : 'salesforceSession';
+    }
+
+    /**
+     * Add or update a connection
+     * @param {Object} connection - { id, name, loginHost: 'login', 'test' or a My Domain URL, apiVersion }
+     * @returns {Object} The saved connection
+     */
+    saveConnection(connection) {
+        const loginUrl = SalesforceService.resolveLoginUrl(connection.loginHost || connection.loginUrl);
+        const saved = {
+            id: connection.id || SalesforceService.generateRandomString(12),
+            name: connection.name || new URL(loginUrl).hostname,
+            loginUrl: loginUrl,
+            apiVersion: SalesforceService.normalizeApiVersion(connection.apiVersion) || this.defaultApiVersion
+        };
+
+        const connections = this.getConnections().filter(existing => existing.id !== saved.id);
+        connections.push(saved);
+        this.storeConnections(connections);
+        return saved;
+    }
+
+    /**
+     * Save the connection list locally and to the roaming settings
+     */
+    storeConnections(connections) {
+        localStorage.setItem('salesforceConnections', JSON.stringify(connections));
+        const roamingStore = SalesforceService.getRoamingStore();
+        if (roamingStore) {
+            roamingStore.set('salesforceConnections', connections)
+                .catch(error => console.warn('Unable to save connections to roaming settings:', error));
+        }
+    }
+
+    /**
+     * Take the connection list from the roaming settings, so connections added in
+     * another Outlook client show up here. The first client to sync uploads its list.
+     */
+    async syncConnections() {
+        const roamingStore = SalesforceService.getRoamingStore();
+        if (!roamingStore) {
+            return;
+        }
+
+        const roaming = await roamingStore.get('salesforceConnections');
+        if (Array.isArray(roaming)) {
+            localStorage.setItem('salesforceConnections', JSON.stringify(roaming));
+        } else if (this.getConnections().length > 0) {
+            await roamingStore.set('salesforceConnections', this.getConnections());
+        }
+    }
+
+    /**
+     * Settings that follow the user's mailbox; null where Outlook provides none
+     * (e.g. the sign-in dialog)
+     */
+    static getRoamingStore() {
+        const available = typeof SecureStorage !== 'undefined' && typeof Office !== 'undefined' &&
+            Office.context && Office.context.roamingSettings;
+        return available ? new SecureStorage.RoamingSettingsStore() : null;
+    }
+
+    /**
+     * Make another connection active on every surface
+     * @returns {Object|null} The connection's stored session, if signed in
+     */
+    async switchConnection(connectionId) {
+        if (!this.getConnections().some(connection => connection.id === connectionId)) {
+            throw new Error('Unknown Salesforce connection');
+        }
+
+        localStorage.setItem('salesforceActiveConnection', connectionId);
+        this.applySession(await this.tokenStore.get(this.getSessionKey(connectionId)));
+        this.broadcastSession(this.session);
+        return this.session;
+    }
+
+    /**
+     * Sign out of a connection and forget it
+     */
+    async removeConnection(connectionId) {
+        if (connectionId === this.getActiveConnectionId()) {
+            await this.logout();
+        } else {
+            await this.revokeSession(await this.tokenStore.get(this.getSessionKey(connectionId)));
+            await this.tokenStore.remove(this.getSessionKey(connectionId));
+        }
+
+        const connections = this.getConnections().filter(connection => connection.id !== connectionId);
+        this.storeConnections(connections);
+        if (localStorage.getItem('salesforceActiveConnection') === connectionId) {
+            localStorage.removeItem('salesforceActiveConnection');
+            if (connections.length > 0) {
+                await this.switchConnection(connections[0].id);
+            }
+        }
+    }
+
+    /**
+     * Expand the 'login' and 'test' shorthands to their login URLs
+     */
+    static resolveLoginUrl(loginHost) {
+        if (!loginHost || loginHost === 'login' || loginHost === 'test') {
+            return `https://${loginHost || 'login'}.salesforce.com`;
+        }
+        const host = loginHost.trim();
+        const url = /^https?:\/\//i.test(host) ? host : `https://${host}`;
+        return url.replace(/\/+$/, '');
+    }
+
+    /**
+     * Accept '58', '58.0' or 'v58.0'
+     */
+    static normalizeApiVersion(apiVersion) {
+        const match = String(apiVersion || '').match(/^v?(\d+)(?:\.(\d+))?$/);
+        return match ? `v${match[1]}.${match[2] || '0'}` : null;
+    }
+
+    /**
+     * Identify the org the active connection points at
+     * @returns {Object} { connectionId, name, orgId, instanceUrl }
+     */
+    getConnectionInfo() {
+        const connection = this.getActiveConnection();
+        return {
+            connectionId: connection ? connection.id : null,
+            name: connection ? connection.name : 'Salesforce',
+            orgId: this.session ? this.session.org_id || null : null,
+            instanceUrl: this.instanceUrl
+        };
+    }
+
+    /**
+     * Register a callback for sessions changed by another surface
+     */
+    onSessionChanged(listener) {
+        this.sessionListeners.push(listener);
+        return () => {
+            this.sessionListeners = this.sessionListeners.filter(registered => registered !== listener);
+        };
+    }
+
+    /**
+     * Initialize OAuth2 authentication flow (authorization code with PKCE)
+     * Opens the sign-in page in an Office dialog; oauth-callback.html performs
+     * the token exchange and reports back through messageParent.
+     * @param {string} loginUrl - Salesforce login URL (login, test or My Domain)
+     * @param {string} clientId - Connected App Client ID
+     * @param {string} redirectUri - OAuth redirect URI
+     */
+    async authenticate(loginUrl, clientId, redirectUri) {
+        const codeVerifier = SalesforceService.generateRandomString(64);
+        const codeChallenge = await SalesforceService.createCodeChallenge(codeVerifier);
+        const state = SalesforceService.generateRandomString(32);
+        const scope = (typeof SALESFORCE_CONFIG !== 'undefined' && SALESFORCE_CONFIG.scope) || 'full refresh_token';
+
+        // Construct OAuth URL
+        const oauthUrl = `${loginUrl}/services/oauth2/authorize?` +
+            `response_type=code&` +
+            `client_id=${encodeURIComponent(clientId)}&` +
+            `redirect_uri=${encodeURIComponent(redirectUri)}&` +
+            `scope=${encodeURIComponent(scope)}&` +
+            `state=${encodeURIComponent(state)}&` +
+            `code_challenge=${encodeURIComponent(codeChallenge)}&` +
+            `code_challenge_method=S256`;
+
+        // The dialog must start on the add-in's own domain, so the callback page
+        // reads the pending request and redirects to Salesforce itself
+        localStorage.setItem('salesforceAuthPending', JSON.stringify({
+            loginUrl: loginUrl,
+            clientId: clientId,
+            redirectUri: redirectUri,
+            codeVerifier: codeVerifier,
+            state: state,
+            authorizeUrl: oauthUrl
+        }));
+
+        return new Promise((resolve, reject) => {
+            Office.context.ui.displayDialogAsync(`${redirectUri}?authorize=1`, { height: 60, width: 30 }, (asyncResult) => {
+                if (asyncResult.status !== Office.AsyncResultStatus.Succeeded) {
+                    localStorage.removeItem('salesforceAuthPending');
+                    reject(new Error(`Unable to open sign-in dialog: ${asyncResult.error.message}`));
+                    return;
+                }
+
+                const dialog = asyncResult.value;
+
+                dialog.addEventHandler(Office.EventType.DialogMessageReceived, (arg) => {
+                    dialog.close();
+                    localStorage.removeItem('salesforceAuthPending');
+
+                    let message;
+                    try {
+                        message = JSON.parse(arg.message);
+                    } catch (e) {
+                        reject(new Error('Invalid response from sign-in dialog'));
+                        return;
+                    }
+
+                    if (message.type === 'oauth_success' && message.session) {
+                        this.saveSession(message.session)
+                            .then(() => resolve(message.session))
+                            .catch(reject);
+                    } else {
+                        reject(new Error(`OAuth error: ${message.error_description || message.error || 'Unknown error'}`));
+                    }
+                });
+
+                dialog.addEventHandler(Office.EventType.DialogEventReceived, (arg) => {
+                    localStorage.removeItem('salesforceAuthPending');
+                    // 12006 means the user closed the dialog
+                    if (arg.error === 12006) {
+                        reject(new Error('Authentication cancelled'));
+                    } else {
+                        reject(new Error(`Sign-in dialog error: ${arg.error}`));
+                    }
+                });
+            });
+        });
+    }
+
+    /**
+     * Generate a URL-safe random string (used for PKCE verifier and state)
+     */
+    static generateRandomString(length) {
+        const charset = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-._~';
+        const values = crypto.getRandomValues(new Uint8Array(length));
+        return Array.from(values, value => charset[value % charset.length]).join('');
+    }
+
+    /**
+     * Derive the S256 PKCE code challenge from a code verifier
+     */
+    static async createCodeChallenge(codeVerifier) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(codeVerifier));
+        return btoa(String.fromCharCode(...new Uint8Array(digest)))
+            .replace(/\+/g, '-')
+            .replace(/\//g, '_')
+            .replace(/=+$/, '');
+    }
+
+    /**
+     * Exchange authorization code for access token
+     * @param {string} code - Authorization code from the callback
+     * @param {string} clientId - Connected App Client ID
+     * @param {string} redirectUri - OAuth redirect URI used for the authorize request
+     * @param {string} codeVerifier - PKCE code verifier matching the code challenge
+     * @param {string} loginUrl - Salesforce login URL the code was issued by
+     */
+    async exchangeCodeForToken(code, clientId, redirectUri, codeVerifier, loginUrl) {
+        const tokenUrl = `${loginUrl || this.instanceUrl}/services/oauth2/token`;
+        
+        const params = new URLSearchParams({
+            grant_type: 'authorization_code',
+            code: code,
+            client_id: clientId,
+            redirect_uri: redirectUri,
+            code_verifier: codeVerifier
+        });
+
+        const response = await fetch(tokenUrl, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded'
+            },
+            body: params
+        });
+
+        if (!response.ok) {
+            throw new Error(`Token exchange failed: ${response.status}`);
+        }
+
+        const tokenData = await response.json();
+        
+        const sessionData = {
+            access_token: tokenData.access_token,
+            refresh_token: tokenData.refresh_token,
+            instance_url: tokenData.instance_url,
+            issued_at: tokenData.issued_at,
+            signature: tokenData.signature,
+            login_url: loginUrl,
+            client_id: clientId,
+            // Identity URL ends in /id/<org id>/<user id>
+            org_id: (tokenData.id || '').split('/').slice(-2)[0] || null
+        };
+        
+        await this.saveSession(sessionData);
+        
+        return sessionData;
+    }
+
+    /**
+     * Load the stored session, migrating a plaintext localStorage session if present
+     */
+    async loadSession() {
+        if (this.sessionLoaded) {
+            return this.session;
+        }
+
+        const legacySession = localStorage.getItem('salesforceSession');
+        if (legacySession) {
+            try {
+                await this.tokenStore.set('salesforceSession', JSON.parse(legacySession));
+            } catch (e) {
+                console.error('Error migrating saved session:', e);
+            }
+            localStorage.removeItem('salesforceSession');
+        }
+
+        try {
+            await this.syncConnections();
+        } catch (e) {
+            console.error('Error syncing saved connections:', e);
+        }
+
+        // Sessions from before named connections become the first connection
+        if (this.getConnections().length === 0) {
+            const singleSession = await this.tokenStore.get('salesforceSession');
+            if (singleSession) {
+                const connection = this.saveConnection({ loginUrl: singleSession.login_url || singleSession.instance_url });
+                localStorage.setItem('salesforceActiveConnection', connection.id);
+                await this.tokenStore.set(this.getSessionKey(connection.id), singleSession);
+                await this.tokenStore.remove('salesforceSession');
+            }
+        }
+
+        // A session may have arrived from another surface while loading
+        const storedSession = await this.tokenStore.get(this.getSessionKey());
+        if (!this.sessionLoaded) {
+            this.applySession(storedSession);
+        }
+        return this.session;
+    }
+
+    /**
+     * Store session data and make it active on this instance
+     */
+    async saveSession(sessionData) {
+        this.applySession(sessionData);
+        await this.tokenStore.set(this.getSessionKey(), sessionData);
+        this.broadcastSession(sessionData);
+    }
+
+    /**
+     * Forget the session on this instance and in storage
+     */
+    async clearSession() {
+        this.applySession(null);
+        await this.tokenStore.remove(this.getSessionKey());
+        this.broadcastSession(null);
+    }
+
+    /**
+     * Make a session active on this instance without storing it
+     */
+    applySession(sessionData) {
+        this.session = sessionData || null;
+        this.sessionLoaded = true;
+        this.accessToken = sessionData ? sessionData.access_token : null;
+        this.instanceUrl = sessionData ? sessionData.instance_url : null;
+
+        const connection = this.getActiveConnection();
+        this.apiVersion = (connection && connection.apiVersion) || this.defaultApiVersion;
+    }
+
+    broadcastSession(sessionData) {
+        if (this.channel) {
+            this.channel.postMessage({ type: 'session', connectionId: this.getActiveConnectionId(), session: sessionData });
+        }
+    }
+
+    /**
+     * Refresh access token using refresh token
+     * @param {string} clientId - Connected App Client ID (defaults to the one stored with the session)
+     */
+    async refreshToken(clientId) {
+        const session = Object.assign({}, await this.loadSession());
+        if (!session.refresh_token) {
+            throw new SalesforceAuthError('No refresh token available');
+        }
+
+        const tokenUrl = `${this.instanceUrl || session.instance_url}/services/oauth2/token`;
+        
+        const params = new URLSearchParams({
+            grant_type: 'refresh_token',
+            refresh_token: session.refresh_token,
+            client_id: clientId || session.client_id
+        });
+
+        const response = await this.send(tokenUrl, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded'
+            },
+            body: params
+        });
+
+        if (response.status >= 500) {
+            // Salesforce is unavailable; the refresh token may still be good
+            throw new SalesforceNetworkError(`Token refresh failed: ${response.status}`, { status: response.status });
+        }
+        if (!response.ok) {
+            // Refresh token expired, need full re-authentication
+            await this.clearSession();
+            throw new SalesforceAuthError('Refresh token expired', { status: response.status });
+        }
+
+        const tokenData = await response.json();
+        
+        // Update stored session
+        session.access_token = tokenData.access_token;
+        session.issued_at = tokenData.issued_at;
+        delete session.expires_at;
+        await this.saveSession(session);
+        
+        return tokenData;
+    }
+
+    /**
+     * Make authenticated API call to Salesforce
+     * @param {Object} options - { signal, essential }; signal is an AbortSignal that cancels
+     *   the request, essential: false skips it while API calls run low (see assertApiReserve)
+     */
+    async apiCall(endpoint, method = 'GET', data = null, headers = null, options = {}) {
+        const response = await this.apiRequest(endpoint, Object.assign({ method, data, headers }, options));
+        if (method !== 'GET') {
+            await this.invalidateCache(endpoint, data);
+        }
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw SalesforceError.fromResponse(response.status, errorText, response.headers.get('Retry-After'));
+        }
+
+        // Handle empty responses (like DELETE operations)
+        if (response.status === 204) {
+            return {};
+        }
+
+        return await response.json();
+    }
+
+    /**
+     * Drop cached lookups that contain the records or addresses of a write
+     * Called for failed writes too: a partial success may still have changed records.
+     */
+    async invalidateCache(endpoint, data) {
+        if (this.cache) {
+            await this.cache.invalidate(endpoint, data).catch(error => console.warn('Unable to invalidate cache:', error));
+        }
+    }
+
+    /**
+     * Run a lookup through the RecordCache, or directly when there is none
+     * @param {string} key - Normalized lookup key
+     * @param {Array} tags - Addresses or IDs the lookup was made for
+     * @param {Function} loader - Runs the lookup
+     * @param {number} ttl - Optional cache lifetime in milliseconds
+     * @param {AbortSignal} signal - Signal the loader's requests were given
+     */
+    cached(key, tags, loader, ttl = null, signal = null) {
+        return this.cache ? this.cache.fetch(key, loader, { tags: tags, ttl: ttl, signal: signal }) : loader();
+    }
+
+    /**
+     * Turn a Salesforce error body into [{ field, message, errorCode }]
+     * Errors that are not tied to a field (e.g. validation rules) have field null.
+     */
+    static parseFieldErrors(errorText) {
+        return SalesforceError.toFieldErrors(SalesforceError.parseBody(errorText));
+    }
+
+    /**
+     * Get the matching records from a DUPLICATES_DETECTED error body
+     * @returns {Array} [{ id, type, name, details, reason }]
+     */
+    static parseDuplicates(errorText) {
+        let errors;
+        try {
+            errors = JSON.parse(errorText);
+        } catch (e) {
+            return [];
+        }
+
+        const duplicates = [];
+        (Array.isArray(errors) ? errors : [errors])
+            .filter(error => error && error.errorCode === 'DUPLICATES_DETECTED' && error.duplicateResult)
+            .forEach(error => {
+                const rule = (error.duplicateResult.duplicateRule || '').replace(/_/g, ' ');
+                (error.duplicateResult.matchResults || []).forEach(matchResult => {
+                    (matchResult.matchRecords || []).forEach(match => {
+                        const record = match.record || {};
+                        if (record.Id && !duplicates.some(duplicate => duplicate.id === record.Id)) {
+                            duplicates.push({
+                                id: record.Id,
+                                type: matchResult.entityType || (record.attributes || {}).type,
+                                name: record.Name || [record.FirstName, record.LastName].filter(Boolean).join(' ') || record.Id,
+                                details: [record.Email, record.Company || (record.Account ? record.Account.Name : '')],
+                                reason: rule ? `Matched ${rule}` : 'Matched a duplicate rule'
+                            });
+                        }
+                    });
+                });
+            });
+        return duplicates;
+    }
+
+    /**
+     * Send an authenticated request and return the raw Response
+     * Used directly when response headers matter (e.g. ETag revalidation).
+     * @param {string} endpoint - Path relative to the API version, or an absolute /services/ path
+     * @param {Object} options - { method, data, headers, signal, essential }
+     */
+    async apiRequest(endpoint, options = {}) {
+        if (options.essential === false) {
+            this.assertApiReserve();
+        }
+
+        if (!this.accessToken) {
+            await this.loadSession();
+            if (!this.accessToken) {
+                throw new SalesforceAuthError('Not authenticated', { status: 401 });
+            }
+        }
+
+        if (this.sessionManager) {
+            await this.sessionManager.ensureFreshToken();
+        }
+
+        // Absolute resource paths (e.g. nextRecordsUrl) are used as returned
+        const url = endpoint.startsWith('/services/')
+            ? `${this.instanceUrl}${endpoint}`
+            : `${this.instanceUrl}/services/data/${this.apiVersion}/${endpoint}`;
+        const method = options.method || 'GET';
+        
+        const request = {
+            method: method,
+            headers: Object.assign({
+                'Authorization': `Bearer ${this.accessToken}`,
+                'Content-Type': 'application/json'
+            }, options.headers)
+        };
+
+        if (options.data && (method === 'POST' || method === 'PATCH' || method === 'PUT')) {
+            request.body = JSON.stringify(options.data);
+        }
+        if (options.signal) {
+            request.signal = options.signal;
+        }
+
+        const response = await this.send(url, request);
+        if (response.status !== 401) {
+            return response;
+        }
+
+        // Token expired, try to refresh
+        try {
+            if (this.sessionManager) {
+                await this.sessionManager.refresh();
+            } else {
+                await this.refreshToken();
+            }
+        } catch (refreshError) {
+            if (refreshError instanceof SalesforceNetworkError) {
+                throw refreshError;
+            }
+            throw new SalesforceAuthError('Authentication expired. Please re-authenticate.', { status: 401 });
+        }
+
+        // Retry the original request
+        request.headers['Authorization'] = `Bearer ${this.accessToken}`;
+        const retryResponse = await this.send(url, request);
+        if (retryResponse.status === 401) {
+            throw new SalesforceAuthError('Authentication expired. Please re-authenticate.', { status: 401 });
+        }
+        return retryResponse;
     }
 
     /**
-     * Initialize OAuth2 authentication flow
-     * @param {string} instanceUrl - Salesforce instance URL
-     * @param {string} clientId - Connected App Client ID
-     * @param {string} redirectUri - OAuth redirect URI
+     * fetch, reporting an unreachable Salesforce as a SalesforceNetworkError
+     */
+    async send(url, request) {
+        let response;
+        try {
+            response = await fetch(url, request);
+        } catch (error) {
+            // A cancelled request is not an outage; callers check their signal
+            if (error.name === 'AbortError') {
+                throw error;
+            }
+            // fetch rejects with a TypeError when the network is unreachable
+            throw new SalesforceNetworkError(`Salesforce could not be reached: ${error.message}`);
+        }
+
+        // Every REST response reports the org's daily usage, e.g. "api-usage=25/15000"
+        const limitInfo = (response.headers.get('Sforce-Limit-Info') || '').match(/api-usage=(\d+)\/(\d+)/);
+        if (limitInfo) {
+            this.setApiUsage(Number(limitInfo[1]), Number(limitInfo[2]));
+        }
+        return response;
+    }
+
+    /**
+     * Get the org's limits (daily API requests, storage, etc.) from the /limits resource
+     * @returns {Object} Limits keyed by name, each { Max, Remaining }
+     */
+    async getLimits() {
+        const limits = await this.apiCall('limits/');
+        if (limits.DailyApiRequests) {
+            this.setApiUsage(limits.DailyApiRequests.Max - limits.DailyApiRequests.Remaining, limits.DailyApiRequests.Max);
+        }
+        return limits;
+    }
+
+    /**
+     * Remember the daily API usage of the active connection
+     */
+    setApiUsage(used, max) {
+        this.apiUsage.set(this.getActiveConnectionId() || 'default', { used: used, max: max, updatedAt: Date.now() });
+    }
+
+    /**
+     * Last known daily API usage of the active connection
+     * @returns {Object|null} { used, max, remaining, percentRemaining, updatedAt }, null before the first response
+     */
+    getApiUsage() {
+        const usage = this.apiUsage.get(this.getActiveConnectionId() || 'default');
+        if (!usage || !usage.max) {
+            return null;
+        }
+        const remaining = Math.max(usage.max - usage.used, 0);
+        return Object.assign({}, usage, {
+            remaining: remaining,
+            percentRemaining: Math.round(remaining / usage.max * 1000) / 10
+        });
+    }
+
+    /**
+     * Whether remaining API calls are below the reserve, so non-essential requests should wait
+     */
+    isApiLimitLow() {
+        const usage = this.getApiUsage();
+        return !!usage && usage.percentRemaining < this.apiLimitReservePercent;
+    }
+
+    /**
+     * Refuse a non-essential request while remaining API calls are below the reserve
+     * @throws {SalesforceReserveError}
+     */
+    assertApiReserve() {
+        if (this.isApiLimitLow()) {
+            throw new SalesforceReserveError(
+                `Paused to save Salesforce API calls (${this.getApiUsage().remaining.toLocaleString()} left today).`);
+        }
+    }
+
+    /**
+     * Search for records using SOSL
      */
-    async authenticate(instanceUrl, clientId, redirectUri) {
-        this.instanceUrl = instanceUrl;
+    async search(searchTerm, objectTypes = ['Contact', 'Lead', 'Account']) {
+        const sosl = new SoslBuilder(searchTerm).in('ALL');
+        objectTypes.forEach(type => sosl.returning(type, ['Id', 'Name', 'Email']));
         
-        // Construct OAuth URL
-        const oauthUrl = `${instanceUrl}/services/oauth2/authorize?` +
-            `response_type=code&` +
-            `client_id=${encodeURIComponent(clientId)}&` +
-            `redirect_uri=${encodeURIComponent(redirectUri)}&` +
-            `scope=full refresh_token`;
+        const encodedSOSL = encodeURIComponent(sosl.build());
+        return await this.apiCall(`search/?q=${encodedSOSL}`);
+    }
 
-        // In a real implementation using a popup or redirect
-        return new Promise((resolve, reject) => {
-            // For demo purposes, we'll use a popup window
-            const popup = window.open(oauthUrl, 'salesforce-auth', 
-                'width=600,height=600,scrollbars=yes,resizable=yes');
-            
-            // Monitor popup for OAuth callback
-            const checkClosed = setInterval(() => {
-                if (popup.closed) {
-                    clearInterval(checkClosed);
-                    reject(new Error('Authentication cancelled'));
+    /**
+     * Query records using SOQL (first batch only)
+     * @param {string|SoqlBuilder} soql - SOQL statement or query builder
+     * @param {boolean} includeDeleted - Use the queryAll endpoint to include deleted and archived rows
+     * @param {Object} options - { signal, essential }, see apiCall
+     */
+    async query(soql, includeDeleted = false, options = {}) {
+        const encodedSOQL = encodeURIComponent(String(soql));
+        const resource = includeDeleted ? 'queryAll' : 'query';
+        return await this.apiCall(`${resource}/?q=${encodedSOQL}`, 'GET', null, null, options);
+    }
+
+    /**
+     * Fetch the next batch of a query result
+     * @param {string} nextRecordsUrl - Value of nextRecordsUrl from the previous batch
+     * @param {Object} options - { signal, essential }, see apiCall
+     */
+    async queryMore(nextRecordsUrl, options = {}) {
+        return await this.apiCall(nextRecordsUrl, 'GET', null, null, options);
+    }
+
+    /**
+     * Iterate over every record of a query, fetching batches lazily
+     * Usage: for await (const record of service.iterate(soql)) { ... }
+     * @param {string|SoqlBuilder} soql - SOQL statement or query builder
+     * @param {Object} options - { includeDeleted, maxRecords, signal, essential }; signal and
+     *   essential apply to every batch request, see apiCall
+     */
+    async *iterate(soql, options = {}) {
+        const maxRecords = options.maxRecords || Infinity;
+        const requestOptions = { signal: options.signal, essential: options.essential };
+        let count = 0;
+        let result = await this.query(soql, options.includeDeleted, requestOptions);
+
+        while (true) {
+            for (const record of result.records || []) {
+                if (count >= maxRecords) {
+                    return;
                 }
-                
-                try {
-                    if (popup.location.href.includes(redirectUri)) {
-                        const url = new URL(popup.location.href);
-                        const code = url.searchParams.get('code');
-                        const error = url.searchParams.get('error');
-                        
-                        popup.close();
-                        clearInterval(checkClosed);
-                        
-                        if (error) {
-                            reject(new Error(`OAuth error: ${error}`));
-                        } else if (code) {
-                            // Exchange code for access token
-                            this.exchangeCodeForToken(code, clientId, redirectUri)
-                                .then(resolve)
-                                .catch(reject);
-                        }
+                count++;
+                yield record;
+            }
+
+            if (result.done || !result.nextRecordsUrl || count >= maxRecords) {
+                return;
+            }
+            result = await this.queryMore(result.nextRecordsUrl, requestOptions);
+        }
+    }
+
+    /**
+     * Query all records across every batch
+     * @param {string|SoqlBuilder} soql - SOQL statement or query builder
+     * @param {Object} options - { includeDeleted, maxRecords, signal, essential }, see iterate
+     */
+    async queryAll(soql, options = {}) {
+        const records = [];
+        for await (const record of this.iterate(soql, options)) {
+            records.push(record);
+        }
+        return {
+            totalSize: records.length,
+            done: true,
+            records: records
+        };
+    }
+
+    /**
+     * Create a new record
+     * @param {Object} options - { checkDuplicates, allowDuplicates }
+     *   checkDuplicates rejects likely duplicates with an error carrying duplicates;
+     *   allowDuplicates saves even when alert-only duplicate rules match.
+     */
+    async createRecord(objectType, recordData, options = {}) {
+        if (this.metadata) {
+            await this.metadata.assertValid(objectType, recordData, 'create');
+        }
+
+        const headers = {};
+        if (options.allowDuplicates) {
+            headers['Sforce-Duplicate-Rule-Header'] = 'allowSave=true';
+        } else if (options.checkDuplicates && await this.hasActiveDuplicateRules(objectType)) {
+            // Alert-only rules would let the save through; make them report their matches instead
+            headers['Sforce-Duplicate-Rule-Header'] = 'allowSave=false, includeRecordDetails=true, runAsCurrentUser=true';
+        } else if (options.checkDuplicates) {
+            const duplicates = await this.findLocalDuplicates(objectType, recordData);
+            if (duplicates.length > 0) {
+                const message = `Possible duplicate ${objectType}: ${duplicates.map(duplicate => duplicate.name).join(', ')}`;
+                throw new SalesforceValidationError(message, {
+                    errors: [{ errorCode: 'DUPLICATES_DETECTED', message: message, fields: [] }],
+                    duplicates: duplicates
+                });
+            }
+        }
+        return await this.apiCall(`sobjects/${objectType}/`, 'POST', recordData, headers);
+    }
+
+    /**
+     * Check whether the org has active duplicate rules for an object
+     * Orgs without rules (or users who cannot read them) get local matching instead.
+     */
+    async hasActiveDuplicateRules(objectType) {
+        const key = `${this.getActiveConnectionId() || 'default'}:${objectType}`;
+        if (!this.duplicateRules.has(key)) {
+            const query = new SoqlBuilder('DuplicateRule')
+                .select('Id')
+                .where('SobjectType', '=', objectType)
+                .where('IsActive', '=', true)
+                .limit(1);
+            this.duplicateRules.set(key, this.query(query, false, { essential: false })
+                .then(result => (result.records || []).length > 0)
+                .catch(error => {
+                    if (error instanceof SalesforceReserveError) {
+                        // Not an answer; ask again once API calls are available
+                        this.duplicateRules.delete(key);
+                    } else {
+                        console.warn(`Unable to read duplicate rules for ${objectType}:`, error);
                     }
-                } catch (e) {
-                    // Cross-origin error - popup still on Salesforce domain
+                    return false;
+                }));
+        }
+        return await this.duplicateRules.get(key);
+    }
+
+    /**
+     * Find existing records that look like the one about to be created
+     * Contacts and Leads are matched across both objects by email, then by name
+     * at the same company; Accounts by name or website domain.
+     * @returns {Array} [{ id, type, name, details, reason }]
+     */
+    async findLocalDuplicates(objectType, record) {
+        const duplicates = [];
+        const add = (type, found, reason, details) => {
+            if (!duplicates.some(duplicate => duplicate.id === found.Id)) {
+                duplicates.push({ id: found.Id, type, name: found.Name, details, reason });
+            }
+        };
+
+        if (objectType === 'Account') {
+            const domain = SalesforceService.websiteDomain(record.Website);
+            const queries = [];
+            if (record.Name) {
+                queries.push(new SoqlBuilder('Account').select('Id', 'Name', 'Website').where('Name', '=', record.Name).limit(5));
+            }
+            if (domain) {
+                queries.push(new SoqlBuilder('Account').select('Id', 'Name', 'Website').whereLike('Website', domain).limit(5));
+            }
+            const results = await Promise.all(queries.map(query => this.query(query)));
+            results.forEach(result => (result.records || []).forEach(account => {
+                const sameName = record.Name && account.Name.toLowerCase() === record.Name.toLowerCase();
+                add('Account', account, sameName ? 'Same name' : 'Same website', [account.Website]);
+            }));
+            return duplicates;
+        }
+
+        if (objectType !== 'Contact' && objectType !== 'Lead') {
+            return duplicates;
+        }
+
+        const email = (record.Email || '').trim();
+        const domain = (email.split('@')[1] || '').toLowerCase();
+        const contactFields = ['Id', 'Name', 'Email', 'Account.Name', 'Account.Website'];
+        const leadFields = ['Id', 'Name', 'Email', 'Company'];
+        const queries = [];
+        if (email) {
+            queries.push(['Contact', new SoqlBuilder('Contact').select(contactFields).where('Email', '=', email).limit(5)]);
+            queries.push(['Lead', new SoqlBuilder('Lead').select(leadFields)
+                .where('Email', '=', email).where('IsConverted', '=', false).limit(5)]);
+        }
+        // A last name alone matches too many people
+        if (record.FirstName && record.LastName) {
+            queries.push(['Contact', new SoqlBuilder('Contact').select(contactFields)
+                .where('FirstName', '=', record.FirstName).where('LastName', '=', record.LastName).limit(10)]);
+            queries.push(['Lead', new SoqlBuilder('Lead').select(leadFields)
+                .where('FirstName', '=', record.FirstName).where('LastName', '=', record.LastName)
+                .where('IsConverted', '=', false).limit(10)]);
+        }
+
+        const results = await Promise.all(queries.map(([, query]) => this.query(query)));
+        const company = (record.Company || '').toLowerCase();
+        const sameDomain = address => !!domain && !SalesforceService.FREE_MAIL_DOMAINS.includes(domain) &&
+            (address || '').toLowerCase().endsWith(`@${domain}`);
+
+        results.forEach((result, index) => {
+            const type = queries[index][0];
+            (result.records || []).forEach(found => {
+                const foundCompany = type === 'Contact' ? (found.Account ? found.Account.Name : '') : found.Company;
+                const details = [found.Email, foundCompany];
+                if (email && (found.Email || '').toLowerCase() === email.toLowerCase()) {
+                    add(type, found, 'Same email', details);
+                } else if (sameDomain(found.Email) ||
+                    (company && (foundCompany || '').toLowerCase() === company) ||
+                    (type === 'Contact' && found.Account && domain && SalesforceService.websiteDomain(found.Account.Website) === domain)) {
+                    add(type, found, 'Same name and company', details);
                 }
-            }, 1000);
+            });
         });
+        return duplicates;
     }
 
     /**
-     * Exchange authorization code for access token
+     * Get the bare domain of a website (https://www.acme.com/about -> acme.com)
      */
-    async exchangeCodeForToken(code, clientId, redirectUri) {
-        const tokenUrl = `${this.instanceUrl}/services/oauth2/token`;
-        
-        const params = new URLSearchParams({
-            grant_type: 'authorization_code',
-            code: code,
-            client_id: clientId,
-            redirect_uri: redirectUri
-        });
+    static websiteDomain(website) {
+        return (website || '').trim().toLowerCase()
+            .replace(/^https?:\/\//, '')
+            .replace(/^www\./, '')
+            .split(/[/?#]/)[0];
+    }
 
-        const response = await fetch(tokenUrl, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/x-www-form-urlencoded'
-            },
-            body: params
+    /**
+     * Rename a Lead's fields to the matching Contact fields, or the reverse, for merging
+     * Fields without a counterpart keep their name; the target's describe decides what applies.
+     */
+    static mapRecordFields(record, fromType, toType) {
+        let mapping = {};
+        if (fromType === 'Lead' && toType === 'Contact') {
+            mapping = SalesforceService.LEAD_CONTACT_FIELDS;
+        } else if (fromType === 'Contact' && toType === 'Lead') {
+            Object.keys(SalesforceService.LEAD_CONTACT_FIELDS).forEach(leadField => {
+                mapping[SalesforceService.LEAD_CONTACT_FIELDS[leadField]] = leadField;
+            });
+        }
+
+        const mapped = {};
+        Object.keys(record).forEach(field => {
+            mapped[mapping[field] || field] = record[field];
         });
+        return mapped;
+    }
 
-        if (!response.ok) {
-            throw new Error(`Token exchange failed: ${response.status}`);
+    /**
+     * Update an existing record
+     */
+    async updateRecord(objectType, recordId, recordData) {
+        if (this.metadata) {
+            await this.metadata.assertValid(objectType, recordData, 'update');
         }
+        return await this.apiCall(`sobjects/${objectType}/${recordId}`, 'PATCH', recordData);
+    }
 
-        const tokenData = await response.json();
-        
-        this.accessToken = tokenData.access_token;
-        this.instanceUrl = tokenData.instance_url;
-        
-        // Store in localStorage for persistence
-        const sessionData = {
-            access_token: tokenData.access_token,
-            refresh_token: tokenData.refresh_token,
-            instance_url: tokenData.instance_url,
-            issued_at: tokenData.issued_at,
-            signature: tokenData.signature
-        };
-        
-        localStorage.setItem('salesforceSession', JSON.stringify(sessionData));
-        
-        return sessionData;
+    /**
+     * Get a record by ID
+     */
+    async getRecord(objectType, recordId, fields = null) {
+        if (fields && this.metadata) {
+            // Field lists are written for a standard org; skip fields this org lacks
+            fields = await this.metadata.filterFields(objectType, fields).catch(() => fields);
+        }
+
+        let endpoint = `sobjects/${objectType}/${recordId}`;
+        if (fields) {
+            endpoint += `?fields=${fields.join(',')}`;
+        }
+        return await this.cached(`record:${endpoint}`, [recordId], () => this.apiCall(endpoint));
     }
 
     /**
-     * Refresh access token using refresh token
+     * Delete a record
      */
-    async refreshToken(clientId) {
-        const session = JSON.parse(localStorage.getItem('salesforceSession'));
-        if (!session || !session.refresh_token) {
-            throw new Error('No refresh token available');
+    async deleteRecord(objectType, recordId) {
+        return await this.apiCall(`sobjects/${objectType}/${recordId}`, 'DELETE');
+    }
+
+    /**
+     * Execute a Composite API request (up to 25 subrequests in one round trip)
+     * Subrequests can reference earlier results, e.g. '@{refEmail.id}'.
+     * @param {Array} subrequests - [{ method, url, referenceId, body }]; url may be relative to the API version
+     * @param {boolean} allOrNone - Roll back every subrequest if one fails
+     * @returns {Object} Response bodies keyed by referenceId
+     */
+    async composite(subrequests, allOrNone = true) {
+        if (this.metadata) {
+            for (const request of subrequests) {
+                const target = request.body && request.url.match(/^sobjects\/(\w+)(?:\/[^/?]+)?$/);
+                if (target && (request.method === 'POST' || request.method === 'PATCH')) {
+                    await this.metadata.assertValid(target[1], request.body, request.method === 'POST' ? 'create' : 'update');
+                }
+            }
         }
 
-        const tokenUrl = `${this.instanceUrl}/services/oauth2/token`;
-        
-        const params = new URLSearchParams({
-            grant_type: 'refresh_token',
-            refresh_token: session.refresh_token,
-            client_id: clientId
+        const compositeRequest = subrequests.map(request => {
+            const subrequest = {
+                method: request.method,
+                url: request.url.startsWith('/services/')
+                    ? request.url
+                    : `/services/data/${this.apiVersion}/${request.url}`,
+                referenceId: request.referenceId
+            };
+            if (request.body) {
+                subrequest.body = request.body;
+            }
+            return subrequest;
         });
 
-        const response = await fetch(tokenUrl, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/x-www-form-urlencoded'
-            },
-            body: params
+        const result = await this.apiCall('composite', 'POST', {
+            allOrNone: allOrNone,
+            compositeRequest: compositeRequest
         });
 
-        if (!response.ok) {
-            // Refresh token expired, need full re-authentication
-            localStorage.removeItem('salesforceSession');
-            throw new Error('Refresh token expired');
+        const responses = result.compositeResponse || [];
+        const failed = responses.find(response => response.httpStatusCode >= 400 &&
+            // Rolled-back siblings only report PROCESSING_HALTED; surface the real cause
+            !(Array.isArray(response.body) && response.body[0] && response.body[0].errorCode === 'PROCESSING_HALTED'));
+
+        if (failed && allOrNone) {
+            const detail = Array.isArray(failed.body) && failed.body[0]
+                ? `${failed.body[0].errorCode}: ${failed.body[0].message}`
+                : failed.httpStatusCode;
+            throw SalesforceError.create(failed.httpStatusCode, SalesforceError.parseBody(JSON.stringify(failed.body)), {
+                message: `Composite request failed at ${failed.referenceId} - ${detail}`
+            });
         }
 
-        const tokenData = await response.json();
-        this.accessToken = tokenData.access_token;
-        
-        // Update stored session
-        session.access_token = tokenData.access_token;
-        session.issued_at = tokenData.issued_at;
-        localStorage.setItem('salesforceSession', JSON.stringify(session));
-        
-        return tokenData;
+        const bodies = {};
+        responses.forEach(response => {
+            bodies[response.referenceId] = response.body;
+        });
+        return bodies;
     }
 
     /**
-     * Make authenticated API call to Salesforce
+     * Create records using sObject Collections, 200 per request
+     * Without allOrNone, records that fail validation are reported in the
+     * results like records Salesforce rejects, and the others are still saved.
+     * @param {string} objectType - Object API name applied to every record
+     * @param {Array} records - Field maps to insert
+     * @param {boolean} allOrNone - Roll back every record of a request if one fails
+     * @returns {Array} [{ id, success, errors }] in input order
      */
-    async apiCall(endpoint, method = 'GET', data = null) {
-        if (!this.accessToken) {
-            const session = JSON.parse(localStorage.getItem('salesforceSession'));
-            if (session && session.access_token) {
-                this.accessToken = session.access_token;
-                this.instanceUrl = session.instance_url;
-            } else {
-                throw new Error('Not authenticated');
+    async createRecords(objectType, records, allOrNone = true) {
+        const results = new Array(records.length);
+        const pending = [];
+        for (const [index, record] of records.entries()) {
+            try {
+                if (this.metadata) {
+                    await this.metadata.assertValid(objectType, record, 'create');
+                }
+                pending.push(index);
+            } catch (error) {
+                if (allOrNone || !(error instanceof SalesforceValidationError)) {
+                    throw error;
+                }
+                results[index] = { id: null, success: false, errors: [{ message: error.message }] };
+            }
+        }
+
+        for (let start = 0; start < pending.length; start += SalesforceService.COLLECTION_LIMIT) {
+            const batch = pending.slice(start, start + SalesforceService.COLLECTION_LIMIT);
+            const batchResults = await this.apiCall('composite/sobjects', 'POST', {
+                allOrNone: allOrNone,
+                records: batch.map(index => Object.assign({ attributes: { type: objectType } }, records[index]))
+            });
+            batch.forEach((index, position) => {
+                results[index] = batchResults[position];
+            });
+        }
+        return results;
+    }
+
+    /**
+     * Update up to 200 records in one request using sObject Collections
+     * @param {string} objectType - Object API name applied to every record
+     * @param {Array} records - Field maps that each include an Id
+     */
+    async updateRecords(objectType, records, allOrNone = true) {
+        if (this.metadata) {
+            for (const record of records) {
+                await this.metadata.assertValid(objectType, record, 'update');
+            }
+        }
+        const payload = records.map(record => Object.assign({ attributes: { type: objectType } }, record));
+        return await this.apiCall('composite/sobjects', 'PATCH', {
+            allOrNone: allOrNone,
+            records: payload
+        });
+    }
+
+    /**
+     * Delete up to 200 records in one request using sObject Collections
+     */
+    async deleteRecords(recordIds, allOrNone = true) {
+        const ids = recordIds.map(encodeURIComponent).join(',');
+        return await this.apiCall(`composite/sobjects?ids=${ids}&allOrNone=${allOrNone}`, 'DELETE');
+    }
+
+    /**
+     * Log email as an EmailMessage record
+     * The EmailMessage, its EmailMessageRelation rows and the optional Task are
+     * created in a single all-or-none composite request.
+     * If an EmailMessage with the same internetMessageId exists, nothing is created
+     * and the existing record is returned with alreadyLogged set.
+     * Unless relations are passed in, every From/To/Cc address is resolved to
+     * Contacts and Leads and linked through EmailMessageRelation rows.
+     * @param {Object} emailData - Email details (subject, body, from, to, cc, date, incoming, internetMessageId)
+     * @param {string} relatedRecordId - Optional Account/Opportunity/Case to relate to
+     * @param {Object} options - { relations: [{ relationId, relationType, relationAddress }], createTask, contactId }
+     * @returns {Object} { id, success, taskId, relationIds, unmatched, org } where org is the getConnectionInfo() it went to
+     */
+    async logEmail(emailData, relatedRecordId = null, options = {}) {
+        if (emailData.internetMessageId) {
+            const existing = await this.findLoggedEmail(emailData.internetMessageId);
+            if (existing) {
+                return {
+                    id: existing.Id,
+                    success: true,
+                    alreadyLogged: true,
+                    record: existing,
+                    org: this.getConnectionInfo()
+                };
             }
         }
 
-        const url = `${this.instanceUrl}/services/data/${this.apiVersion}/${endpoint}`;
-        
-        const options = {
-            method: method,
-            headers: {
-                'Authorization': `Bearer ${this.accessToken}`,
-                'Content-Type': 'application/json'
-            }
-        };
+        let relations = options.relations;
+        let unmatched = [];
+        if (!relations) {
+            const resolved = await this.resolveEmailRelations(emailData);
+            relations = resolved.relations;
+            unmatched = resolved.unmatched;
+        }
+
+        const emailRecord = {
+            Subject: emailData.subject,
+            TextBody: emailData.body,
+            FromAddress: SalesforceService.splitAddresses(emailData.from)[0],
+            ToAddress: SalesforceService.splitAddresses(emailData.to).join('; '),
+            MessageDate: emailData.date,
+            Status: '3', // Sent
+            Incoming: emailData.incoming || false
+        };
+
+        if (emailData.htmlBody) {
+            emailRecord.HtmlBody = emailData.htmlBody;
+        }
+
+        const ccAddresses = SalesforceService.splitAddresses(emailData.cc);
+        if (ccAddresses.length > 0) {
+            emailRecord.CcAddress = ccAddresses.join('; ');
+        }
+
+        if (relatedRecordId) {
+            emailRecord.RelatedToId = relatedRecordId;
+        }
+
+        if (emailData.internetMessageId) {
+            emailRecord[this.messageIdField] = emailData.internetMessageId;
+        }
 
-        if (data && (method === 'POST' || method === 'PATCH' || method === 'PUT')) {
-            options.body = JSON.stringify(data);
+        if (emailData.threadIdentifier) {
+            emailRecord.ThreadIdentifier = emailData.threadIdentifier;
         }
 
-        const response = await fetch(url, options);
-        
-        if (response.status === 401) {
-            // Token expired, try to refresh
-            try {
-                await this.refreshToken();
-                // Retry the original request
-                options.headers['Authorization'] = `Bearer ${this.accessToken}`;
-                const retryResponse = await fetch(url, options);
-                if (!retryResponse.ok) {
-                    throw new Error(`API call failed: ${retryResponse.status}`);
-                }
-                return await retryResponse.json();
-            } catch (refreshError) {
-                throw new Error('Authentication expired. Please re-authenticate.');
-            }
+        // ParentId only accepts Cases (key prefix 500)
+        if (relatedRecordId && relatedRecordId.startsWith('500')) {
+            emailRecord.ParentId = relatedRecordId;
         }
 
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`API call failed: ${response.status} - ${errorText}`);
+        const subrequests = [{
+            method: 'POST',
+            url: 'sobjects/EmailMessage',
+            referenceId: 'refEmail',
+            body: emailRecord
+        }];
+
+        // Composite allows 25 subrequests; remaining relations are added afterwards
+        const batchSize = options.createTask ? 23 : 24;
+        const batchedRelations = relations.slice(0, batchSize);
+        const remainingRelations = relations.slice(batchSize);
+        const toRelationRecord = (relation, emailMessageId) => ({
+            EmailMessageId: emailMessageId,
+            RelationId: relation.relationId,
+            RelationType: relation.relationType,
+            RelationAddress: relation.relationAddress
+        });
+
+        batchedRelations.forEach((relation, index) => {
+            subrequests.push({
+                method: 'POST',
+                url: 'sobjects/EmailMessageRelation',
+                referenceId: `refRelation${index}`,
+                body: toRelationRecord(relation, '@{refEmail.id}')
+            });
+        });
+
+        if (options.createTask) {
+            subrequests.push({
+                method: 'POST',
+                url: 'sobjects/Task',
+                referenceId: 'refTask',
+                body: this.buildEmailTask(emailData, relatedRecordId, options.contactId)
+            });
         }
 
-        // Handle empty responses (like DELETE operations)
-        if (response.status === 204) {
-            return {};
+        const results = await this.composite(subrequests, true);
+        const relationIds = Object.keys(results)
+            .filter(referenceId => referenceId.startsWith('refRelation'))
+            .map(referenceId => results[referenceId].id);
+
+        // Overflow relations are saved individually so one bad address does not undo the email
+        const failedRelations = [];
+        if (remainingRelations.length > 0) {
+            const remainingResults = await this.createRecords('EmailMessageRelation',
+                remainingRelations.map(relation => toRelationRecord(relation, results.refEmail.id)), false);
+            remainingResults.forEach((result, index) => {
+                if (result.success) {
+                    relationIds.push(result.id);
+                } else {
+                    failedRelations.push({
+                        address: remainingRelations[index].relationAddress,
+                        relationId: remainingRelations[index].relationId,
+                        message: (result.errors || []).map(error => error.message).join(' ')
+                    });
+                }
+            });
         }
 
-        return await response.json();
+        return {
+            id: results.refEmail.id,
+            success: true,
+            taskId: results.refTask ? results.refTask.id : null,
+            relationIds: relationIds,
+            unmatched: unmatched,
+            failedRelations: failedRelations,
+            org: this.getConnectionInfo()
+        };
     }
 
     /**
-     * Search for records using SOSL
+     * Record on the Outlook item which org an email was logged to
+     * Kept in the item's custom properties, so it stays with the message.
+     * @param {Object} item - Office.context.mailbox.item
+     * @param {Object} logResult - Result of logEmail
      */
-    async search(searchTerm, objectTypes = ['Contact', 'Lead', 'Account']) {
-        const sosl = `FIND {${searchTerm}} IN ALL FIELDS RETURNING ${objectTypes.map(type => 
-            `${type}(Id, Name, Email)`
-        ).join(', ')}`;
-        
-        const encodedSOSL = encodeURIComponent(sosl);
-        return await this.apiCall(`search/?q=${encodedSOSL}`);
+    recordLoggedOrg(item, logResult) {
+        return new Promise((resolve) => {
+            item.loadCustomPropertiesAsync((asyncResult) => {
+                if (asyncResult.status !== Office.AsyncResultStatus.Succeeded) {
+                    console.warn('Unable to record logged org:', asyncResult.error.message);
+                    resolve();
+                    return;
+                }
+
+                const properties = asyncResult.value;
+                const logs = (properties.get('salesforceLogs') || [])
+                    .filter(log => log.connectionId !== logResult.org.connectionId);
+                logs.push({
+                    connectionId: logResult.org.connectionId,
+                    org: logResult.org.name,
+                    orgId: logResult.org.orgId,
+                    recordId: logResult.id
+                });
+                properties.set('salesforceLogs', logs);
+                properties.saveAsync(() => resolve());
+            });
+        });
     }
 
     /**
-     * Query records using SOQL
+     * Read the orgs an Outlook item was logged to
+     * @returns {Array} [{ connectionId, org, orgId, recordId }]
      */
-    async query(soql) {
-        const encodedSOQL = encodeURIComponent(soql);
-        return await this.apiCall(`query/?q=${encodedSOQL}`);
+    getLoggedOrgs(item) {
+        return new Promise((resolve) => {
+            item.loadCustomPropertiesAsync((asyncResult) => {
+                resolve(asyncResult.status === Office.AsyncResultStatus.Succeeded
+                    ? asyncResult.value.get('salesforceLogs') || []
+                    : []);
+            });
+        });
     }
 
     /**
-     * Create a new record
+     * Resolve From/To/Cc addresses to EmailMessageRelation rows
+     * An address that matches several Contacts or Leads gets a row for each.
+     * @param {Object} emailData - Email details with from, to and cc
+     * @returns {Object} { relations: [{ relationId, relationType, relationAddress }], unmatched: [addresses] }
      */
-    async createRecord(objectType, recordData) {
-        return await this.apiCall(`sobjects/${objectType}/`, 'POST', recordData);
+    async resolveEmailRelations(emailData) {
+        const participants = [
+            ...SalesforceService.splitAddresses(emailData.from).map(address => ({ address, type: 'FromAddress' })),
+            ...SalesforceService.splitAddresses(emailData.to).map(address => ({ address, type: 'ToAddress' })),
+            ...SalesforceService.splitAddresses(emailData.cc).map(address => ({ address, type: 'CcAddress' }))
+        ];
+        const addresses = [...new Set(participants.map(participant => participant.address.toLowerCase()))];
+
+        const related = await this.findRelatedRecords(addresses);
+        const recordsByEmail = {};
+        related.contacts.concat(related.leads).forEach(record => {
+            const email = (record.Email || '').toLowerCase();
+            recordsByEmail[email] = (recordsByEmail[email] || []).concat(record);
+        });
+
+        const relations = [];
+        participants.forEach(participant => {
+            (recordsByEmail[participant.address.toLowerCase()] || []).forEach(record => {
+                relations.push({
+                    relationId: record.Id,
+                    relationType: participant.type,
+                    relationAddress: participant.address
+                });
+            });
+        });
+
+        return {
+            relations: relations,
+            unmatched: addresses.filter(address => !recordsByEmail[address])
+        };
     }
 
     /**
-     * Update an existing record
+     * Lowercased, de-duplicated attendee addresses of an appointment
+     * The organizer owns the Event, so it is never treated as an attendee,
+     * even when Outlook also lists it under the required attendees.
      */
-    async updateRecord(objectType, recordId, recordData) {
-        return await this.apiCall(`sobjects/${objectType}/${recordId}`, 'PATCH', recordData);
+    static attendeeAddresses(appointmentData) {
+        const organizer = appointmentData.organizer
+            ? (appointmentData.organizer.email || '').toLowerCase() : '';
+        return [...new Set((appointmentData.attendees || [])
+            .map(attendee => (attendee.email || '').toLowerCase())
+            .filter(email => email && email !== organizer))];
     }
 
     /**
-     * Get a record by ID
+     * Normalize an address list (array or ';'/',' separated string) to an array
      */
-    async getRecord(objectType, recordId, fields = null) {
-        let endpoint = `sobjects/${objectType}/${recordId}`;
-        if (fields) {
-            endpoint += `?fields=${fields.join(',')}`;
+    static splitAddresses(value) {
+        const list = Array.isArray(value) ? value : String(value || '').split(/[;,]/);
+        return list.map(address => String(address).trim()).filter(Boolean);
+    }
+
+    /**
+     * Split a sender's display name into first and last name
+     * Handles "First Last" and "Last, First"; without a usable name the
+     * address's local part (jane.doe@...) is used instead.
+     */
+    static splitDisplayName(displayName, emailAddress = '') {
+        let name = (displayName || '').replace(/["']/g, '').replace(/\s*\(.*?\)/g, '').trim();
+        if (!name || name.includes('@')) {
+            name = emailAddress.split('@')[0]
+                .replace(/[._]+/g, ' ')
+                .replace(/\b\w/g, letter => letter.toUpperCase())
+                .trim();
+        }
+
+        if (name.includes(',')) {
+            const [lastName, firstName] = name.split(',').map(part => part.trim());
+            return { firstName: firstName || '', lastName: lastName };
         }
-        return await this.apiCall(endpoint);
+
+        const parts = name.split(/\s+/);
+        return parts.length > 1
+            ? { firstName: parts[0], lastName: parts.slice(1).join(' ') }
+            : { firstName: '', lastName: parts[0] || emailAddress };
     }
 
     /**
-     * Delete a record
+     * Guess a company name from an email domain (acme-corp.co.uk -> Acme Corp)
+     * Returns '' for free mail providers.
      */
-    async deleteRecord(objectType, recordId) {
-        return await this.apiCall(`sobjects/${objectType}/${recordId}`, 'DELETE');
+    static companyFromEmail(emailAddress) {
+        const domain = ((emailAddress || '').split('@')[1] || '').toLowerCase();
+        const labels = domain.split('.');
+        if (labels.length < 2 || SalesforceService.FREE_MAIL_DOMAINS.includes(domain)) {
+            return '';
+        }
+
+        // Skip country second-level suffixes such as co.uk or com.au
+        let index = labels.length - 2;
+        if (index > 0 && labels[labels.length - 1].length === 2 && ['co', 'com', 'org', 'net', 'ac', 'gov'].includes(labels[index])) {
+            index--;
+        }
+        return labels[index].split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
     }
 
     /**
-     * Log email as an EmailMessage record
+     * Log every message of a conversation under one ThreadIdentifier
+     * Messages that are already logged are skipped.
+     * @param {Array} messages - Email data for each message, oldest first
+     * @param {string} relatedRecordId - Optional record to relate every message to
+     * @returns {Object} { logged: [results], skipped: [EmailMessage records] }
      */
-    async logEmail(emailData, relatedRecordId = null) {
-        const emailRecord = {
-            Subject: emailData.subject,
-            TextBody: emailData.body,
-            FromAddress: emailData.from,
-            ToAddress: emailData.to,
-            MessageDate: emailData.date,
-            Status: '3', // Sent
-            Incoming: emailData.incoming || false
-        };
+    async logConversation(messages, relatedRecordId = null) {
+        const logged = [];
+        const skipped = [];
+
+        for (const message of messages) {
+            const emailData = Object.assign({}, message, {
+                threadIdentifier: message.conversationId
+            });
+            const result = await this.logEmail(emailData, relatedRecordId);
+            if (result.alreadyLogged) {
+                skipped.push(result.record);
+            } else {
+                logged.push(result);
+            }
+        }
 
-        if (relatedRecordId) {
-            emailRecord.RelatedToId = relatedRecordId;
+        return { logged, skipped };
+    }
+
+    /**
+     * Find an already logged EmailMessage by Outlook internetMessageId
+     * @param {boolean} useCache - Accept a cached answer; off by default so duplicate checks ask Salesforce
+     * @param {Object} options - { signal }, see apiCall
+     * @returns {Object|null} EmailMessage with RelatedTo name, or null if not logged
+     */
+    async findLoggedEmail(internetMessageId, useCache = false, options = {}) {
+        if (!internetMessageId) {
+            return null;
         }
+        if (useCache) {
+            return await this.cached(`logged:${internetMessageId}`, [internetMessageId],
+                () => this.findLoggedEmail(internetMessageId, false, options), null, options.signal);
+        }
+
+        const query = new SoqlBuilder('EmailMessage')
+            .select('Id', 'Subject', 'RelatedToId', 'RelatedTo.Name', 'CreatedDate')
+            .where(this.messageIdField, '=', internetMessageId)
+            .orderBy('CreatedDate', 'ASC')
+            .limit(1);
 
-        return await this.createRecord('EmailMessage', emailRecord);
+        const result = await this.query(query, false, options);
+        return result.records && result.records.length > 0 ? result.records[0] : null;
+    }
+
+    /**
+     * Get the URL that opens a record in Salesforce
+     */
+    getRecordUrl(recordId) {
+        const instanceUrl = this.instanceUrl || (this.getSessionInfo() || {}).instance_url;
+        return `${instanceUrl}/${recordId}`;
     }
 
     /**
      * Create a Task record for email activity
      */
     async createEmailTask(emailData, relatedRecordId = null, contactId = null) {
+        return await this.createRecord('Task', this.buildEmailTask(emailData, relatedRecordId, contactId));
+    }
+
+    /**
+     * Build the Task field map for an email activity
+     */
+    buildEmailTask(emailData, relatedRecordId = null, contactId = null) {
         const taskRecord = {
             Subject: `Email: ${emailData.subject}`,
             Description: emailData.body,
@@ -304,32 +2025,193 @@ class SalesforceService {
             taskRecord.WhoId = contactId; // Related to Contact or Lead
         }
 
-        return await this.createRecord('Task', taskRecord);
+        return taskRecord;
+    }
+
+    /**
+     * Upload a file as a Salesforce File (ContentVersion) and share it with records
+     * @param {string} fileName - File name including extension
+     * @param {string} base64Data - File content encoded as base64
+     * @param {string[]} linkedEntityIds - Records to link; the first becomes the publish location
+     */
+    async uploadFile(fileName, base64Data, linkedEntityIds = []) {
+        const [firstId, ...otherIds] = [...new Set(linkedEntityIds.filter(Boolean))];
+
+        const version = {
+            Title: fileName.replace(/\.[^.]+$/, '') || fileName,
+            PathOnClient: fileName,
+            VersionData: base64Data
+        };
+        if (firstId) {
+            version.FirstPublishLocationId = firstId;
+        }
+
+        const subrequests = [{
+            method: 'POST',
+            url: 'sobjects/ContentVersion',
+            referenceId: 'refVersion',
+            body: version
+        }];
+
+        if (otherIds.length > 0) {
+            subrequests.push({
+                method: 'GET',
+                url: 'sobjects/ContentVersion/@{refVersion.id}?fields=ContentDocumentId',
+                referenceId: 'refVersionInfo'
+            });
+            otherIds.forEach((entityId, index) => {
+                subrequests.push({
+                    method: 'POST',
+                    url: 'sobjects/ContentDocumentLink',
+                    referenceId: `refLink${index}`,
+                    body: {
+                        ContentDocumentId: '@{refVersionInfo.ContentDocumentId}',
+                        LinkedEntityId: entityId,
+                        ShareType: 'V'
+                    }
+                });
+            });
+        }
+
+        const results = await this.composite(subrequests, true);
+
+        return {
+            id: results.refVersion.id,
+            contentDocumentId: results.refVersionInfo ? results.refVersionInfo.ContentDocumentId : null
+        };
+    }
+
+    /**
+     * Log an Outlook appointment as a Salesforce Event
+     * Attendees are matched to Contacts and Leads by email address; the first
+     * match becomes the Event's WhoId and the rest are added as invitees.
+     * @param {Object} appointmentData - { subject, start, end, location, description, organizer, attendees }
+     * @param {string} whatId - Optional Account/Opportunity to relate the Event to
+     * @returns {Object} { id, whoId, inviteeIds, unmatched: [email addresses], failedRelations }
+     */
+    async logAppointment(appointmentData, whatId = null) {
+        const emailAddresses = SalesforceService.attendeeAddresses(appointmentData);
+
+        const related = await this.findRelatedRecords(emailAddresses);
+        const people = related.contacts.concat(related.leads);
+        const matchedEmails = new Set(people.map(record => (record.Email || '').toLowerCase()));
+        // A Lead cannot be the WhoId of an Event that has a WhatId, but it can still be an invitee
+        const whoCandidates = whatId ? related.contacts : people;
+        const whoId = whoCandidates.length > 0 ? whoCandidates[0].Id : null;
+        const inviteeIds = [...new Set(people.map(record => record.Id))].filter(relationId => relationId !== whoId);
+
+        const eventRecord = {
+            Subject: appointmentData.subject,
+            StartDateTime: new Date(appointmentData.start).toISOString(),
+            EndDateTime: new Date(appointmentData.end).toISOString(),
+            Location: appointmentData.location,
+            Description: appointmentData.description
+        };
+
+        if (whatId) {
+            eventRecord.WhatId = whatId;
+        }
+
+        if (whoId) {
+            eventRecord.WhoId = whoId;
+        }
+
+        Object.keys(eventRecord).forEach(key => {
+            if (!eventRecord[key]) {
+                delete eventRecord[key];
+            }
+        });
+
+        // Composite allows 25 subrequests; remaining invitees are added afterwards. With a WhatId,
+        // Lead invitees always wait for that step, so a rejected one is reported instead of undoing the Event
+        const leadIds = new Set(related.leads.map(record => record.Id));
+        const batchedIds = (whatId ? inviteeIds.filter(relationId => !leadIds.has(relationId)) : inviteeIds).slice(0, 24);
+        const remainingIds = inviteeIds.filter(relationId => !batchedIds.includes(relationId));
+
+        const subrequests = [{
+            method: 'POST',
+            url: 'sobjects/Event',
+            referenceId: 'refEvent',
+            body: eventRecord
+        }];
+
+        batchedIds.forEach((relationId, index) => {
+            subrequests.push({
+                method: 'POST',
+                url: 'sobjects/EventRelation',
+                referenceId: `refRelation${index}`,
+                body: {
+                    EventId: '@{refEvent.id}',
+                    RelationId: relationId,
+                    IsInvitee: true
+                }
+            });
+        });
+
+        const results = await this.composite(subrequests, true);
+        const eventId = results.refEvent.id;
+
+        // Overflow invitees are saved individually so one bad relation does not undo the Event
+        const failedRelations = [];
+        if (remainingIds.length > 0) {
+            const remainingResults = await this.createRecords('EventRelation', remainingIds.map(relationId => ({
+                EventId: eventId,
+                RelationId: relationId,
+                IsInvitee: true
+            })), false);
+            remainingResults.forEach((result, index) => {
+                if (!result.success) {
+                    const person = people.find(record => record.Id === remainingIds[index]);
+                    failedRelations.push({
+                        address: person ? person.Email : null,
+                        relationId: remainingIds[index],
+                        message: (result.errors || []).map(error => error.message).join(' ')
+                    });
+                }
+            });
+        }
+
+        const failedIds = new Set(failedRelations.map(relation => relation.relationId));
+        return {
+            id: eventId,
+            whoId: whoId || null,
+            inviteeIds: inviteeIds.filter(relationId => !failedIds.has(relationId)),
+            unmatched: emailAddresses.filter(email => !matchedEmails.has(email)),
+            failedRelations: failedRelations
+        };
     }
 
     /**
      * Find contacts or leads by email address
      */
     async findByEmail(emailAddress) {
+        const address = emailAddress.trim().toLowerCase();
+        return await this.cached(`email:${address}`, [address], () => this.queryByEmail(address));
+    }
+
+    /**
+     * Run the Contact and Lead queries for findByEmail
+     */
+    async queryByEmail(emailAddress) {
         const results = {
             contacts: [],
             leads: []
         };
 
-        try {
-            // Search Contacts
-            const contactQuery = `SELECT Id, Name, Email, Account.Name, Title FROM Contact WHERE Email = '${emailAddress}'`;
-            const contactResult = await this.query(contactQuery);
-            results.contacts = contactResult.records || [];
-
-            // Search Leads
-            const leadQuery = `SELECT Id, Name, Email, Company, Title FROM Lead WHERE Email = '${emailAddress}' AND IsConverted = false`;
-            const leadResult = await this.query(leadQuery);
-            results.leads = leadResult.records || [];
-
-        } catch (error) {
-            console.error('Error finding records by email:', error);
-        }
+        // Search Contacts
+        const contactQuery = new SoqlBuilder('Contact')
+            .select('Id', 'Name', 'Email', 'Account.Name', 'Title')
+            .where('Email', '=', emailAddress);
+        const contactResult = await this.query(contactQuery);
+        results.contacts = contactResult.records || [];
+
+        // Search Leads
+        const leadQuery = new SoqlBuilder('Lead')
+            .select('Id', 'Name', 'Email', 'Company', 'Title')
+            .where('Email', '=', emailAddress)
+            .where('IsConverted', '=', false);
+        const leadResult = await this.query(leadQuery);
+        results.leads = leadResult.records || [];
 
         return results;
     }
@@ -339,20 +2221,20 @@ class SalesforceService {
      */
     async getRecentActivities(limit = 10) {
         const userId = await this.getCurrentUserId();
-        const query = `SELECT Id, Subject, ActivityDate, Type, Status, Who.Name, What.Name 
-                      FROM Task 
-                      WHERE OwnerId = '${userId}' 
-                      ORDER BY CreatedDate DESC 
-                      LIMIT ${limit}`;
+        const query = new SoqlBuilder('Task')
+            .select('Id', 'Subject', 'ActivityDate', 'Type', 'Status', 'Who.Name', 'What.Name')
+            .where('OwnerId', '=', userId)
+            .orderBy('CreatedDate', 'DESC')
+            .limit(limit);
         
         return await this.query(query);
     }
 
     /**
-     * Get current user ID
+     * Get current user ID (cached for a day per connection)
      */
     async getCurrentUserId() {
-        const userInfo = await this.apiCall('sobjects/User/me');
+        const userInfo = await this.cached('user:me', [], () => this.apiCall('sobjects/User/me'), 24 * 60 * 60 * 1000);
         return userInfo.Id;
     }
 
@@ -369,56 +2251,55 @@ class SalesforceService {
     async searchContactsAndLeads(searchTerm) {
         const results = [];
         
-        try {
-            // Search contacts
-            const contactQuery = `SELECT Id, Name, Email, Phone, Account.Name, Title 
-                                 FROM Contact 
-                                 WHERE Name LIKE '%${searchTerm}%' 
-                                 OR Email LIKE '%${searchTerm}%' 
-                                 OR Account.Name LIKE '%${searchTerm}%'
-                                 LIMIT 10`;
-            
-            const contactResult = await this.query(contactQuery);
-            if (contactResult.records) {
-                contactResult.records.forEach(contact => {
-                    results.push({
-                        id: contact.Id,
-                        name: contact.Name,
-                        email: contact.Email,
-                        phone: contact.Phone,
-                        company: contact.Account ? contact.Account.Name : '',
-                        title: contact.Title,
-                        type: 'Contact'
-                    });
+        // Search contacts
+        const contactQuery = new SoqlBuilder('Contact')
+            .select('Id', 'Name', 'Email', 'Phone', 'Account.Name', 'Title')
+            .whereAny([
+                SoqlBuilder.like('Name', searchTerm),
+                SoqlBuilder.like('Email', searchTerm),
+                SoqlBuilder.like('Account.Name', searchTerm)
+            ])
+            .limit(10);
+        
+        const contactResult = await this.query(contactQuery);
+        if (contactResult.records) {
+            contactResult.records.forEach(contact => {
+                results.push({
+                    id: contact.Id,
+                    name: contact.Name,
+                    email: contact.Email,
+                    phone: contact.Phone,
+                    company: contact.Account ? contact.Account.Name : '',
+                    title: contact.Title,
+                    type: 'Contact'
                 });
-            }
+            });
+        }
 
-            // Search leads
-            const leadQuery = `SELECT Id, Name, Email, Phone, Company, Title 
-                              FROM Lead 
-                              WHERE IsConverted = false 
-                              AND (Name LIKE '%${searchTerm}%' 
-                              OR Email LIKE '%${searchTerm}%' 
-                              OR Company LIKE '%${searchTerm}%')
-                              LIMIT 10`;
-            
-            const leadResult = await this.query(leadQuery);
-            if (leadResult.records) {
-                leadResult.records.forEach(lead => {
-                    results.push({
-                        id: lead.Id,
-                        name: lead.Name,
-                        email: lead.Email,
-                        phone: lead.Phone,
-                        company: lead.Company,
-                        title: lead.Title,
-                        type: 'Lead'
-                    });
+        // Search leads
+        const leadQuery = new SoqlBuilder('Lead')
+            .select('Id', 'Name', 'Email', 'Phone', 'Company', 'Title')
+            .where('IsConverted', '=', false)
+            .whereAny([
+                SoqlBuilder.like('Name', searchTerm),
+                SoqlBuilder.like('Email', searchTerm),
+                SoqlBuilder.like('Company', searchTerm)
+            ])
+            .limit(10);
+        
+        const leadResult = await this.query(leadQuery);
+        if (leadResult.records) {
+            leadResult.records.forEach(lead => {
+                results.push({
+                    id: lead.Id,
+                    name: lead.Name,
+                    email: lead.Email,
+                    phone: lead.Phone,
+                    company: lead.Company,
+                    title: lead.Title,
+                    type: 'Lead'
                 });
-            }
-
-        } catch (error) {
-            console.error('Error searching contacts and leads:', error);
+            });
         }
 
         return results;
@@ -426,8 +2307,9 @@ class SalesforceService {
 
     /**
      * Create a new Contact record
+     * @param {Object} options - Passed to createRecord, e.g. { checkDuplicates: true }
      */
-    async createContact(contactData) {
+    async createContact(contactData, options = {}) {
         const contact = {
             FirstName: contactData.firstName,
             LastName: contactData.lastName,
@@ -445,13 +2327,14 @@ class SalesforceService {
             }
         });
 
-        return await this.createRecord('Contact', contact);
+        return await this.createRecord('Contact', contact, options);
     }
 
     /**
      * Create a new Lead record
+     * @param {Object} options - Passed to createRecord, e.g. { checkDuplicates: true }
      */
-    async createLead(leadData) {
+    async createLead(leadData, options = {}) {
         const lead = {
             FirstName: leadData.firstName,
             LastName: leadData.lastName,
@@ -459,8 +2342,8 @@ class SalesforceService {
             Phone: leadData.phone,
             Company: leadData.company,
             Title: leadData.title,
-            Status: leadData.status || 'Open - Not Contacted',
-            LeadSource: leadData.source || 'Email',
+            Status: leadData.status || await this.getPicklistDefault('Lead', 'Status', 'Open - Not Contacted'),
+            LeadSource: leadData.source || await this.getPicklistDefault('Lead', 'LeadSource', 'Email'),
             Description: leadData.description
         };
 
@@ -471,7 +2354,131 @@ class SalesforceService {
             }
         });
 
-        return await this.createRecord('Lead', lead);
+        return await this.createRecord('Lead', lead, options);
+    }
+
+    /**
+     * Pick a default for a picklist field that is valid in this org
+     * Returns the preferred value if the org has it, otherwise the picklist's
+     * default (or null, leaving Salesforce to apply its own default).
+     */
+    async getPicklistDefault(objectType, fieldName, preferred) {
+        if (!this.metadata) {
+            return preferred;
+        }
+
+        try {
+            if (!(await this.metadata.getField(objectType, fieldName))) {
+                return null;
+            }
+            const values = await this.metadata.getPicklistValues(objectType, fieldName);
+            if (values.length === 0 || values.some(entry => entry.value === preferred)) {
+                return preferred;
+            }
+            const defaultEntry = values.find(entry => entry.defaultValue);
+            return defaultEntry ? defaultEntry.value : null;
+        } catch (error) {
+            return preferred;
+        }
+    }
+
+    /**
+     * Convert a Lead into a Contact, an Account and optionally an Opportunity
+     * The REST API has no lead conversion, so this posts to the Apex REST
+     * resource in LeadConvertResource.cls, which must be deployed to the org.
+     * @param {Object} options - { convertedStatus, accountId, opportunityName }
+     *   Without accountId a new Account is created from the Lead's Company;
+     *   without opportunityName no Opportunity is created.
+     * @returns {Object} { accountId, contactId, opportunityId }
+     */
+    async convertLead(leadId, options = {}) {
+        const result = await this.apiCall(this.leadConvertPath, 'POST', {
+            leadId: leadId,
+            convertedStatus: options.convertedStatus || null,
+            accountId: options.accountId || null,
+            opportunityName: options.opportunityName || null
+        });
+
+        return {
+            accountId: result.accountId,
+            contactId: result.contactId,
+            opportunityId: result.opportunityId || null
+        };
+    }
+
+    /**
+     * Lead statuses that mark a Lead as converted
+     * @returns {Array} [{ value, label }], in the org's order
+     */
+    async getConvertedStatuses() {
+        const query = new SoqlBuilder('LeadStatus')
+            .select('ApiName', 'MasterLabel')
+            .where('IsConverted', '=', true)
+            .orderBy('SortOrder', 'ASC');
+
+        const result = await this.query(query);
+        return (result.records || []).map(status => ({ value: status.ApiName, label: status.MasterLabel }));
+    }
+
+    /**
+     * Find Accounts by name or website, e.g. to attach a converted Lead to
+     */
+    async searchAccounts(searchTerm) {
+        const term = (searchTerm || '').trim();
+        const query = new SoqlBuilder('Account')
+            .select('Id', 'Name', 'Website', 'BillingCity')
+            .orderBy('Name', 'ASC')
+            .limit(10);
+        if (term) {
+            query.whereAny([
+                SoqlBuilder.like('Name', term),
+                SoqlBuilder.like('Website', SalesforceService.websiteDomain(term) || term)
+            ]);
+        }
+
+        const result = await this.query(query);
+        return result.records || [];
+    }
+
+    /**
+     * Attach a logged email to the Contact a Lead was converted into
+     * Conversion moves the Lead's Tasks to the Contact, but not its EmailMessageRelations.
+     * The new relations are created all-or-none; a failure is thrown.
+     * @returns {boolean} Whether the email was logged and is now related to the Contact
+     */
+    async relinkConvertedEmail(internetMessageId, leadId, contactId) {
+        const email = await this.findLoggedEmail(internetMessageId);
+        if (!email) {
+            return false;
+        }
+
+        const query = new SoqlBuilder('EmailMessageRelation')
+            .select('Id', 'RelationId', 'RelationType', 'RelationAddress')
+            .where('EmailMessageId', '=', email.Id)
+            .whereIn('RelationId', [leadId, contactId]);
+        const relations = (await this.query(query)).records || [];
+        if (relations.some(relation => relation.RelationId === contactId)) {
+            return true;
+        }
+
+        const leadRelations = relations.filter(relation => relation.RelationId === leadId);
+        if (leadRelations.length === 0) {
+            return false;
+        }
+
+        const results = await this.createRecords('EmailMessageRelation', leadRelations.map(relation => ({
+            EmailMessageId: email.Id,
+            RelationId: contactId,
+            RelationType: relation.RelationType,
+            RelationAddress: relation.RelationAddress
+        })));
+        const failed = results.filter(result => !result.success);
+        if (failed.length > 0) {
+            throw SalesforceError.create(400, [].concat(...failed.map(result => result.errors || [])), {
+                message: 'Unable to link the email to the converted Contact'
+            });
+        }
+        return true;
     }
 
     /**
@@ -492,8 +2499,21 @@ class SalesforceService {
 
     /**
      * Search for related records based on email participants
+     * Results are cached by the normalized set of addresses.
+     * @param {Object} options - { signal }, see apiCall
      */
-    async findRelatedRecords(emailAddresses) {
+    async findRelatedRecords(emailAddresses, options = {}) {
+        const addresses = [...new Set((emailAddresses || [])
+            .filter(Boolean)
+            .map(address => address.trim().toLowerCase()))].sort();
+        return await this.cached(`related:${addresses.join(',')}`, addresses,
+            () => this.queryRelatedRecords(addresses, options), null, options.signal);
+    }
+
+    /**
+     * Run the Contact, Account, Opportunity and Lead queries for findRelatedRecords
+     */
+    async queryRelatedRecords(emailAddresses, options = {}) {
         const results = {
             contacts: [],
             leads: [],
@@ -505,64 +2525,56 @@ class SalesforceService {
             return results;
         }
 
-        try {
-            const emailList = emailAddresses.map(email => `'${email}'`).join(',');
-
-            // Find contacts
-            const contactQuery = `SELECT Id, Name, Email, Account.Name, Account.Id, Title 
-                                 FROM Contact 
-                                 WHERE Email IN (${emailList})`;
+        // Find contacts
+        const contactQuery = new SoqlBuilder('Contact')
+            .select('Id', 'Name', 'Email', 'Account.Name', 'Account.Id', 'Title')
+            .whereIn('Email', emailAddresses);
+        
+        const contactResult = await this.query(contactQuery, false, options);
+        if (contactResult.records) {
+            results.contacts = contactResult.records;
+            
+            // Get related accounts from contacts
+            const accountIds = contactResult.records
+                .filter(contact => contact.Account && contact.Account.Id)
+                .map(contact => contact.Account.Id);
             
-            const contactResult = await this.query(contactQuery);
-            if (contactResult.records) {
-                results.contacts = contactResult.records;
+            if (accountIds.length > 0) {
+                const uniqueAccountIds = [...new Set(accountIds)];
                 
-                // Get related accounts from contacts
-                const accountIds = contactResult.records
-                    .filter(contact => contact.Account && contact.Account.Id)
-                    .map(contact => contact.Account.Id);
+                const accountQuery = new SoqlBuilder('Account')
+                    .select('Id', 'Name', 'Type', 'Industry')
+                    .whereIn('Id', uniqueAccountIds);
                 
-                if (accountIds.length > 0) {
-                    const uniqueAccountIds = [...new Set(accountIds)];
-                    const accountList = uniqueAccountIds.map(id => `'${id}'`).join(',');
-                    
-                    const accountQuery = `SELECT Id, Name, Type, Industry 
-                                         FROM Account 
-                                         WHERE Id IN (${accountList})`;
-                    
-                    const accountResult = await this.query(accountQuery);
-                    if (accountResult.records) {
-                        results.accounts = accountResult.records;
-                    }
-
-                    // Get related opportunities
-                    const oppQuery = `SELECT Id, Name, StageName, Amount, CloseDate, Account.Name 
-                                     FROM Opportunity 
-                                     WHERE AccountId IN (${accountList}) 
-                                     AND IsClosed = false 
-                                     ORDER BY CloseDate ASC 
-                                     LIMIT 10`;
-                    
-                    const oppResult = await this.query(oppQuery);
-                    if (oppResult.records) {
-                        results.opportunities = oppResult.records;
-                    }
+                const accountResult = await this.query(accountQuery, false, options);
+                if (accountResult.records) {
+                    results.accounts = accountResult.records;
                 }
-            }
 
-            // Find leads (not converted)
-            const leadQuery = `SELECT Id, Name, Email, Company, Title, Status 
-                              FROM Lead 
-                              WHERE Email IN (${emailList}) 
-                              AND IsConverted = false`;
-            
-            const leadResult = await this.query(leadQuery);
-            if (leadResult.records) {
-                results.leads = leadResult.records;
+                // Get related opportunities
+                const oppQuery = new SoqlBuilder('Opportunity')
+                    .select('Id', 'Name', 'StageName', 'Amount', 'CloseDate', 'Account.Name')
+                    .whereIn('AccountId', uniqueAccountIds)
+                    .where('IsClosed', '=', false)
+                    .orderBy('CloseDate', 'ASC')
+                    .limit(10);
+                
+                const oppResult = await this.query(oppQuery, false, options);
+                if (oppResult.records) {
+                    results.opportunities = oppResult.records;
+                }
             }
+        }
 
-        } catch (error) {
-            console.error('Error finding related records:', error);
+        // Find leads (not converted)
+        const leadQuery = new SoqlBuilder('Lead')
+            .select('Id', 'Name', 'Email', 'Company', 'Title', 'Status')
+            .whereIn('Email', emailAddresses)
+            .where('IsConverted', '=', false);
+        
+        const leadResult = await this.query(leadQuery, false, options);
+        if (leadResult.records) {
+            results.leads = leadResult.records;
         }
 
         return results;
@@ -570,29 +2582,41 @@ class SalesforceService {
 
     /**
      * Get user's recent activities and tasks
+     * @param {Object} options - { signal, essential }, see apiCall
      */
-    async getUserActivities(limit = 20) {
-        try {
-            const userId = await this.getCurrentUserId();
-            
-            const query = `SELECT Id, Subject, Description, ActivityDate, Status, Type, Priority,
-                          Who.Name, Who.Type, What.Name, What.Type, CreatedDate
-                          FROM Task 
-                          WHERE OwnerId = '${userId}'
-                          ORDER BY CreatedDate DESC 
-                          LIMIT ${limit}`;
-            
-            return await this.query(query);
-        } catch (error) {
-            console.error('Error getting user activities:', error);
-            return { records: [] };
-        }
+    async getUserActivities(limit = 20, options = {}) {
+        const userId = await this.getCurrentUserId();
+        
+        const query = new SoqlBuilder('Task')
+            .select('Id', 'Subject', 'Description', 'ActivityDate', 'Status', 'Type', 'Priority',
+                'Who.Name', 'Who.Type', 'What.Name', 'What.Type', 'CreatedDate')
+            .where('OwnerId', '=', userId)
+            .orderBy('CreatedDate', 'DESC')
+            .limit(limit);
+        
+        return await this.query(query, false, options);
     }
 
     /**
      * Create activity/task with email context
+     * activityData.key is stored in activityKeyField. When replaying a queued
+     * save (checkExisting), a Task with that key means an earlier attempt
+     * succeeded and only its response was lost, so it is returned instead.
+     * @param {Object} options - { checkExisting }
      */
-    async createActivityFromEmail(emailData, activityData) {
+    async createActivityFromEmail(emailData, activityData, options = {}) {
+        const keyField = activityData.key ? await this.getActivityKeyField() : null;
+        if (keyField && options.checkExisting) {
+            const query = new SoqlBuilder('Task')
+                .select('Id')
+                .where(keyField, '=', activityData.key)
+                .limit(1);
+            const existing = (await this.query(query)).records || [];
+            if (existing.length > 0) {
+                return { id: existing[0].Id, success: true, errors: [], alreadyCreated: true };
+            }
+        }
+
         const task = {
             Subject: activityData.subject || `Email: ${emailData.subject}`,
             Description: activityData.description || emailData.body,
@@ -612,9 +2636,28 @@ class SalesforceService {
             }
         }
 
+        if (keyField) {
+            task[keyField] = activityData.key;
+        }
+
         return await this.createRecord('Task', task);
     }
 
+    /**
+     * The field activity keys are stored in, or null when it is not configured
+     * or not deployed to the org (saves then work, but replays cannot be matched)
+     */
+    async getActivityKeyField() {
+        if (!this.activityKeyField) {
+            return null;
+        }
+        if (this.metadata && !(await this.metadata.getField('Task', this.activityKeyField))) {
+            console.warn(`Task.${this.activityKeyField} does not exist; queued activities may be saved twice`);
+            return null;
+        }
+        return this.activityKeyField;
+    }
+
     /**
      * Validate and test connection
      */
@@ -645,46 +2688,102 @@ class SalesforceService {
     }
 
     /**
-     * Logout and clear session
+     * Logout: revoke the token at Salesforce and clear the session
      */
-    logout() {
-        this.accessToken = null;
-        this.instanceUrl = null;
-        localStorage.removeItem('salesforceSession');
+    async logout() {
+        await this.revokeSession(await this.loadSession());
+        if (this.cache) {
+            await this.cache.clear();
+        }
+        await this.clearSession();
     }
 
     /**
-     * Check if user is authenticated
+     * Revoke a session's tokens at Salesforce
+     * @returns {boolean} Whether Salesforce confirmed the revocation
      */
-    isAuthenticated() {
-        const session = localStorage.getItem('salesforceSession');
-        if (!session) return false;
-        
+    async revokeSession(session) {
+        if (!session || !(session.refresh_token || session.access_token)) {
+            return false;
+        }
+
         try {
-            const sessionData = JSON.parse(session);
-            return !!(sessionData.access_token && sessionData.instance_url);
-        } catch (e) {
+            // Revoking the refresh token also revokes its access tokens
+            const response = await fetch(`${session.instance_url}/services/oauth2/revoke`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/x-www-form-urlencoded'
+                },
+                body: new URLSearchParams({
+                    token: session.refresh_token || session.access_token
+                })
+            });
+            if (!response.ok) {
+                // e.g. 400 when the token was already invalid; the local session is cleared either way
+                console.error(`Error revoking token: ${response.status} - ${await response.text()}`);
+                return false;
+            }
+            return true;
+        } catch (error) {
+            console.error('Error revoking token:', error);
             return false;
         }
     }
 
     /**
-     * Get current session info
+     * Check if user is authenticated (call loadSession first)
+     */
+    isAuthenticated() {
+        return !!(this.session && this.session.access_token && this.session.instance_url);
+    }
+
+    /**
+     * Get current session info (call loadSession first)
      */
     getSessionInfo() {
-        const session = localStorage.getItem('salesforceSession');
-        if (!session) return null;
-        
-        try {
-            return JSON.parse(session);
-        } catch (e) {
-            return null;
-        }
+        return this.session;
     }
 }
 
+// Records per sObject Collections request
+SalesforceService.COLLECTION_LIMIT = 200;
+
+SalesforceService.FREE_MAIL_DOMAINS = [
+    'gmail.com', 'googlemail.com', 'outlook.com', 'hotmail.com', 'live.com', 'msn.com',
+    'yahoo.com', 'icloud.com', 'me.com', 'aol.com', 'proton.me', 'protonmail.com', 'gmx.com'
+];
+
+// Lead address fields and their Contact counterparts
+SalesforceService.LEAD_CONTACT_FIELDS = {
+    Street: 'MailingStreet',
+    City: 'MailingCity',
+    State: 'MailingState',
+    PostalCode: 'MailingPostalCode',
+    Country: 'MailingCountry'
+};
+
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = SalesforceService;
+    module.exports.SoqlBuilder = SoqlBuilder;
+    module.exports.SoslBuilder = SoslBuilder;
+    module.exports.SalesforceError = SalesforceError;
+    module.exports.SalesforceAuthError = SalesforceAuthError;
+    module.exports.SalesforcePermissionError = SalesforcePermissionError;
+    module.exports.SalesforceValidationError = SalesforceValidationError;
+    module.exports.SalesforceLimitError = SalesforceLimitError;
+    module.exports.SalesforceReserveError = SalesforceReserveError;
+    module.exports.SalesforceNetworkError = SalesforceNetworkError;
+    module.exports.SalesforceNotFoundError = SalesforceNotFoundError;
 } else {
     window.SalesforceService = SalesforceService;
+    window.SoqlBuilder = SoqlBuilder;
+    window.SoslBuilder = SoslBuilder;
+    window.SalesforceError = SalesforceError;
+    window.SalesforceAuthError = SalesforceAuthError;
+    window.SalesforcePermissionError = SalesforcePermissionError;
+    window.SalesforceValidationError = SalesforceValidationError;
+    window.SalesforceLimitError = SalesforceLimitError;
+    window.SalesforceReserveError = SalesforceReserveError;
+    window.SalesforceNetworkError = SalesforceNetworkError;
+    window.SalesforceNotFoundError = SalesforceNotFoundError;
 }
\ No newline at end of file
@@ -0,0 +1,188 @@
+/**
+ * Secure Storage
+ * Pluggable key/value stores for the add-in:
+ * - EncryptedIndexedDbStore: tokens, AES-GCM encrypted with a non-extractable WebCrypto key
+ * - MemoryStore: tokens kept only for the lifetime of the page (shared machines)
+ * - IndexedDbStore: non-secret data too large for localStorage, such as metadata
+ * - RoamingSettingsStore: non-secret preferences that follow the user's mailbox
+ * All stores expose async get(key), set(key, value) and remove(key).
+ */
+
+class MemoryStore {
+    constructor() {
+        this.values = new Map();
+    }
+
+    async get(key) {
+        return this.values.has(key) ? this.values.get(key) : null;
+    }
+
+    async set(key, value) {
+        this.values.set(key, value);
+    }
+
+    async remove(key) {
+        this.values.delete(key);
+    }
+}
+
+class RoamingSettingsStore {
+    async get(key) {
+        const value = Office.context.roamingSettings.get(key);
+        return value === undefined ? null : value;
+    }
+
+    async set(key, value) {
+        Office.context.roamingSettings.set(key, value);
+        await this.save();
+    }
+
+    async remove(key) {
+        Office.context.roamingSettings.remove(key);
+        await this.save();
+    }
+
+    save() {
+        return new Promise((resolve, reject) => {
+            Office.context.roamingSettings.saveAsync((result) => {
+                if (result.status === Office.AsyncResultStatus.Succeeded) {
+                    resolve();
+                } else {
+                    reject(new Error(`Unable to save settings: ${result.error.message}`));
+                }
+            });
+        });
+    }
+}
+
+class IndexedDbStore {
+    constructor(dbName, storeName) {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.dbPromise = null;
+    }
+
+    /**
+     * Open (and create on first use) the IndexedDB database
+     */
+    openDb() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName);
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a single request against the object store
+     */
+    async request(mode, operation) {
+        const db = await this.openDb();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async get(key) {
+        const value = await this.request('readonly', store => store.get(key));
+        return value === undefined ? null : value;
+    }
+
+    async set(key, value) {
+        await this.request('readwrite', store => store.put(value, key));
+    }
+
+    async remove(key) {
+        await this.request('readwrite', store => store.delete(key));
+    }
+}
+
+class EncryptedIndexedDbStore extends IndexedDbStore {
+    constructor(dbName = 'salesforce-addin', storeName = 'secure') {
+        super(dbName, storeName);
+        this.keyPromise = null;
+    }
+
+    /**
+     * Get the encryption key, generating it on first use
+     * The key is non-extractable: it can be stored in IndexedDB and used for
+     * encryption, but its raw bytes can never be read back by any script.
+     */
+    getKey() {
+        if (!this.keyPromise) {
+            this.keyPromise = (async () => {
+                const existing = await this.request('readonly', store => store.get(EncryptedIndexedDbStore.KEY_RECORD));
+                if (existing) {
+                    return existing;
+                }
+
+                const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+                await this.request('readwrite', store => store.put(key, EncryptedIndexedDbStore.KEY_RECORD));
+                return key;
+            })();
+        }
+        return this.keyPromise;
+    }
+
+    async get(key) {
+        const record = await this.request('readonly', store => store.get(key));
+        if (!record) {
+            return null;
+        }
+
+        try {
+            const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: record.iv }, await this.getKey(), record.data);
+            return JSON.parse(new TextDecoder().decode(plaintext));
+        } catch (error) {
+            // Key was replaced or data is corrupt; the value is unrecoverable
+            await this.remove(key);
+            return null;
+        }
+    }
+
+    async set(key, value) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv: iv },
+            await this.getKey(),
+            new TextEncoder().encode(JSON.stringify(value))
+        );
+        await this.request('readwrite', store => store.put({ iv, data }, key));
+    }
+}
+
+EncryptedIndexedDbStore.KEY_RECORD = 'encryption-key';
+
+const SecureStorage = {
+    MemoryStore,
+    RoamingSettingsStore,
+    IndexedDbStore,
+    EncryptedIndexedDbStore,
+
+    /**
+     * Create the store used for tokens
+     * @param {string} mode - 'indexeddb' (default) or 'memory'
+     */
+    createTokenStore(mode) {
+        const supported = typeof indexedDB !== 'undefined' && typeof crypto !== 'undefined' && crypto.subtle;
+        if (mode === 'memory' || !supported) {
+            return new MemoryStore();
+        }
+        return new EncryptedIndexedDbStore();
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SecureStorage;
+} else {
+    window.SecureStorage = SecureStorage;
+}
@@ -0,0 +1,145 @@
+/**
+ * Salesforce Session Manager
+ * Tracks access token expiry, refreshes shortly before it runs out and keeps
+ * the task pane and ribbon commands in sync through the service's session broadcasts
+ */
+
+class SessionManager {
+    /**
+     * @param {SalesforceService} service - Service whose token is managed
+     * @param {Object} options - { clientId, refreshLeadSeconds, sessionTimeoutMinutes }
+     */
+    constructor(service, options = {}) {
+        this.service = service;
+        this.clientId = options.clientId;
+        this.refreshLeadTime = (options.refreshLeadSeconds || 300) * 1000;
+        this.defaultLifetime = (options.sessionTimeoutMinutes || 120) * 60 * 1000;
+        this.id = Math.random().toString(36).substring(2);
+        this.refreshPromise = null;
+        this.listeners = [];
+
+        service.sessionManager = this;
+        service.onSessionChanged((session) => this.notify(session));
+    }
+
+    /**
+     * Register a callback for session changes (null when the session ended)
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify(session) {
+        this.listeners.forEach(listener => listener(session));
+    }
+
+    /**
+     * Get the expiry time of a session in milliseconds
+     */
+    getExpiry(session) {
+        return session.expires_at
+            ? Number(session.expires_at)
+            : Number(session.issued_at) + this.defaultLifetime;
+    }
+
+    /**
+     * Check whether a session is expired, or will be within leadTime
+     */
+    isExpired(session = this.service.getSessionInfo(), leadTime = 0) {
+        if (!session || !session.access_token || !session.issued_at) {
+            return true;
+        }
+        return Date.now() + leadTime >= this.getExpiry(session);
+    }
+
+    /**
+     * Refresh the token if it expires within the refresh lead time
+     */
+    async ensureFreshToken() {
+        const session = this.service.getSessionInfo();
+        if (session && session.refresh_token && this.isExpired(session, this.refreshLeadTime)) {
+            await this.refresh();
+        }
+    }
+
+    /**
+     * Refresh the access token; concurrent callers share one in-flight refresh
+     */
+    refresh() {
+        if (!this.refreshPromise) {
+            this.refreshPromise = this.runRefresh().finally(() => {
+                this.refreshPromise = null;
+            });
+        }
+        return this.refreshPromise;
+    }
+
+    async runRefresh() {
+        // Another surface may already be refreshing; use its result instead
+        const lock = JSON.parse(localStorage.getItem(SessionManager.LOCK_KEY) || 'null');
+        if (lock && lock.owner !== this.id && Date.now() - lock.at < SessionManager.LOCK_TIMEOUT) {
+            const session = await this.waitForSessionUpdate(lock.at + SessionManager.LOCK_TIMEOUT - Date.now());
+            if (session && !this.isExpired(session)) {
+                return session;
+            }
+        }
+
+        localStorage.setItem(SessionManager.LOCK_KEY, JSON.stringify({ owner: this.id, at: Date.now() }));
+        try {
+            await this.service.refreshToken(this.clientId);
+            const session = await this.trackExpiry(this.service.getSessionInfo());
+            this.notify(session);
+            return session;
+        } catch (error) {
+            this.notify(null);
+            throw error;
+        } finally {
+            localStorage.removeItem(SessionManager.LOCK_KEY);
+        }
+    }
+
+    /**
+     * Wait for another surface to store a new session
+     */
+    waitForSessionUpdate(timeout) {
+        return new Promise((resolve) => {
+            const finish = (session) => {
+                unsubscribe();
+                clearTimeout(timer);
+                resolve(session);
+            };
+            const unsubscribe = this.service.onSessionChanged((session) => {
+                if (session) {
+                    finish(session);
+                }
+            });
+            const timer = setTimeout(() => finish(null), Math.max(timeout, 0));
+        });
+    }
+
+    /**
+     * Record when the session's access token expires
+     * Salesforce token responses carry no expiry, and introspection needs the
+     * Connected App's secret, which a PKCE public client does not have. The
+     * configured session timeout is used instead; a token that dies earlier
+     * is still refreshed by apiRequest on its first 401.
+     */
+    async trackExpiry(session) {
+        if (!session) {
+            return session;
+        }
+
+        session.expires_at = Number(session.issued_at) + this.defaultLifetime;
+        await this.service.saveSession(session);
+        return session;
+    }
+}
+
+SessionManager.LOCK_KEY = 'salesforceRefreshLock';
+SessionManager.LOCK_TIMEOUT = 30 * 1000;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SessionManager;
+} else {
+    window.SessionManager = SessionManager;
+}
@@ -0,0 +1,436 @@
+/**
+ * Email Signature Parser
+ * Finds the sender's signature block in a plain-text or HTML email body and
+ * extracts title, phone, mobile, company, website and postal address.
+ * Every extracted value carries a confidence between 0 and 1 so callers can
+ * decide what to pre-fill and what only to suggest.
+ */
+
+class SignatureParser {
+    /**
+     * @param {Object} options - { splitName }; splits a display name into { firstName, lastName }.
+     *   Defaults to SalesforceService.splitDisplayName, looked up when a name is split.
+     */
+    constructor(options = {}) {
+        this.splitName = options.splitName || null;
+    }
+
+    /**
+     * Parse the signature of an email body
+     * @param {string} body - Plain-text or HTML body
+     * @param {Object} sender - { name, email }; helps locate the block and the company
+     * @returns {Object} { found, confidence, lines, fields: { title, phone, mobile, company, website, address } }
+     *   Each field is null or { value, confidence }; address also has parts
+     *   { street, city, state, postalCode, country }.
+     */
+    parse(body, sender = {}) {
+        const text = /<[a-z][\s\S]*>/i.test(body || '') ? SignatureParser.htmlToText(body) : (body || '');
+        const block = this.findSignatureBlock(SignatureParser.stripQuotedReplies(text), sender);
+        const fields = {
+            title: null,
+            phone: null,
+            mobile: null,
+            company: null,
+            website: null,
+            address: null
+        };
+
+        if (!block) {
+            return { found: false, confidence: 0, lines: [], fields };
+        }
+
+        // Scale every field by how sure we are that this is the signature at all
+        const scaled = (value, confidence) => ({ value, confidence: Math.round(confidence * block.confidence * 100) / 100 });
+        const lines = block.lines.filter(line => !this.isNameLine(line, sender.name));
+        const used = new Set();
+
+        this.extractPhones(lines, used).forEach(phone => {
+            if (!fields[phone.kind]) {
+                fields[phone.kind] = scaled(phone.value, phone.confidence);
+            }
+        });
+
+        const website = this.extractWebsite(lines, sender.email, used);
+        if (website) {
+            fields.website = scaled(website.value, website.confidence);
+        }
+
+        const address = this.extractAddress(lines, used);
+        if (address) {
+            fields.address = Object.assign(scaled(address.value, address.confidence), { parts: address.parts });
+        }
+
+        // Title and company often share a line ("VP Sales | Acme Inc")
+        const company = this.extractCompany(lines, sender.email, used);
+        const title = this.extractTitle(lines, used, company ? company.value : null);
+        if (title) {
+            fields.title = scaled(title.value, title.confidence);
+        }
+        if (company) {
+            fields.company = scaled(company.value, company.confidence);
+        }
+
+        return { found: true, confidence: block.confidence, lines: block.lines, fields };
+    }
+
+    /**
+     * Locate the signature: after a "-- " delimiter, after a sign-off, from the
+     * sender's name, or (least certain) the last lines of the message
+     * @returns {Object|null} { lines, confidence }
+     */
+    findSignatureBlock(text, sender) {
+        const lines = text.split(/\r?\n/)
+            .map(line => line.replace(/\u00a0/g, ' ').trim())
+            .filter(line => !SignatureParser.NOISE.some(pattern => pattern.test(line)));
+        const take = start => lines.slice(start, start + SignatureParser.MAX_LINES).filter(Boolean);
+
+        let start = lines.findIndex(line => line === '--');
+        if (start >= 0 && take(start + 1).length > 0) {
+            return { lines: take(start + 1), confidence: 0.9 };
+        }
+
+        start = this.lastIndex(lines, line => SignatureParser.SIGN_OFF.test(line));
+        if (start >= 0 && take(start + 1).length > 0) {
+            return { lines: take(start + 1), confidence: 0.8 };
+        }
+
+        start = this.lastIndex(lines, line => this.isNameLine(line, sender.name));
+        if (start >= 0) {
+            return { lines: take(start), confidence: 0.7 };
+        }
+
+        const content = lines.filter(Boolean);
+        if (content.length < 2) {
+            return null;
+        }
+        return { lines: content.slice(-SignatureParser.FALLBACK_LINES), confidence: 0.4 };
+    }
+
+    lastIndex(lines, predicate) {
+        for (let index = lines.length - 1; index >= 0; index--) {
+            if (predicate(lines[index])) {
+                return index;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Find phone numbers; labels decide between phone and mobile, fax is skipped
+     */
+    extractPhones(lines, used) {
+        const phones = [];
+        lines.forEach((line, index) => {
+            const pattern = /(\+?\(?\d[\d\s().\-/]{5,}\d)(?:\s*(?:x|ext\.?)\s*\d+)?/gi;
+            let match;
+            while ((match = pattern.exec(line)) !== null) {
+                const number = match[0].trim();
+                const digits = number.replace(/\D/g, '');
+                if (digits.length < 7 || digits.length > 15 || /^\d{4}-\d{2}-\d{2}$/.test(number)) {
+                    continue;
+                }
+
+                // The label is the text right before the number on the same line
+                const label = line.substring(0, match.index).split(/[|•·]/).pop().toLowerCase();
+                if (/\bfax\b|\bf\s*[:.]\s*$/.test(label)) {
+                    used.add(index);
+                    continue;
+                }
+
+                const mobile = /mobil|mob\b|cell|handy|\bm\s*[:.]\s*$/.test(label);
+                const labelled = mobile || /phone|tel|office|direct|work|\b[tpod]\s*[:.]\s*$/.test(label);
+                phones.push({
+                    kind: mobile ? 'mobile' : 'phone',
+                    value: number,
+                    confidence: labelled ? 0.95 : 0.6
+                });
+                used.add(index);
+            }
+        });
+
+        // Labelled numbers win over unlabelled ones of the same kind
+        return phones.sort((a, b) => b.confidence - a.confidence);
+    }
+
+    /**
+     * Find the company website, preferring the sender's own domain
+     */
+    extractWebsite(lines, senderEmail, used) {
+        const domain = ((senderEmail || '').split('@')[1] || '').toLowerCase();
+        let best = null;
+
+        lines.forEach((line, index) => {
+            const pattern = /\b((?:https?:\/\/)?(?:www\.)?[a-z0-9][a-z0-9-]*(?:\.[a-z0-9-]+)*\.[a-z]{2,})(\/[^\s<>]*)?/gi;
+            let match;
+            while ((match = pattern.exec(line)) !== null) {
+                const before = line.charAt(match.index - 1);
+                const host = match[1].replace(/^https?:\/\//i, '').replace(/^www\./i, '').toLowerCase();
+                const explicit = /^(https?:\/\/|www\.)/i.test(match[0]);
+                const tld = host.split('.').pop();
+                if (before === '@' || SignatureParser.SOCIAL_HOSTS.some(social => host === social || host.endsWith(`.${social}`)) ||
+                    (!explicit && tld.length > 2 && !SignatureParser.TLDS.includes(tld))) {
+                    continue;
+                }
+
+                const confidence = domain && (host === domain || domain.endsWith(`.${host}`) || host.endsWith(`.${domain}`))
+                    ? 0.95
+                    : explicit ? 0.7 : 0.5;
+                if (!best || confidence > best.confidence) {
+                    best = { value: match[0].replace(/[.,;]$/, ''), confidence, index };
+                }
+            }
+        });
+
+        if (best) {
+            used.add(best.index);
+        }
+        return best;
+    }
+
+    /**
+     * Find a postal address: a street line and/or a postal code line, joined
+     */
+    extractAddress(lines, used) {
+        const street = index => SignatureParser.STREET.test(lines[index]) && /\d/.test(lines[index]);
+        const postal = index => SignatureParser.POSTAL_CODES.some(pattern => pattern.test(lines[index]));
+        const candidates = lines
+            .map((line, index) => index)
+            .filter(index => !used.has(index) && !/@/.test(lines[index]) && (street(index) || postal(index)));
+
+        if (candidates.length === 0) {
+            return null;
+        }
+
+        // Take the first address line and any directly following address lines (plus a country line)
+        const first = candidates[0];
+        let last = first;
+        while (candidates.includes(last + 1)) {
+            last++;
+        }
+        if (last + 1 < lines.length && SignatureParser.COUNTRIES.includes(lines[last + 1].toLowerCase())) {
+            last++;
+        }
+
+        const addressLines = [];
+        for (let index = first; index <= last; index++) {
+            used.add(index);
+            addressLines.push(...lines[index].split(/\s*[|•·]\s*/).filter(Boolean));
+        }
+
+        const hasStreet = addressLines.some(line => SignatureParser.STREET.test(line) && /\d/.test(line));
+        const hasPostal = addressLines.some(line => SignatureParser.POSTAL_CODES.some(pattern => pattern.test(line)));
+        return {
+            value: addressLines.join(', '),
+            confidence: hasStreet && hasPostal ? 0.85 : 0.55,
+            parts: SignatureParser.parseAddress(addressLines)
+        };
+    }
+
+    /**
+     * Find the company: a line with a legal suffix or matching the email domain
+     */
+    extractCompany(lines, senderEmail, used) {
+        const domainName = ((senderEmail || '').split('@')[1] || '').split('.')[0].toLowerCase().replace(/-/g, '');
+        let best = null;
+
+        lines.forEach((line, index) => {
+            if (used.has(index) || /@|https?:|www\./i.test(line)) {
+                return;
+            }
+            line.split(/\s*[|•·]\s*|\s+at\s+|,\s+/).forEach(part => {
+                const squashed = part.toLowerCase().replace(/[^a-z0-9]/g, '');
+                let confidence = 0;
+                if (SignatureParser.COMPANY_SUFFIX.test(part)) {
+                    confidence = 0.85;
+                } else if (domainName.length > 2 && squashed.startsWith(domainName) && part.length <= 60) {
+                    confidence = 0.75;
+                }
+                if (confidence > 0 && (!best || confidence > best.confidence)) {
+                    best = { value: part.trim(), confidence };
+                }
+            });
+        });
+
+        return best;
+    }
+
+    /**
+     * Find the job title: a line with title words, ideally the first line after the name
+     */
+    extractTitle(lines, used, company) {
+        let best = null;
+
+        lines.forEach((line, index) => {
+            if (used.has(index) || /@|\d{3}|https?:|www\./i.test(line) || line.length > 80) {
+                return;
+            }
+            const part = line.split(/\s*[|•·]\s*|\s+at\s+|,\s+/)
+                .map(value => value.trim())
+                .find(value => value && value !== company);
+            if (!part) {
+                return;
+            }
+            const keyword = SignatureParser.TITLE_WORDS.test(part);
+            // Without a title word, only a first line that is not a sentence (fallback blocks start in the body)
+            const confidence = keyword ? (index === 0 ? 0.9 : 0.75) : (index === 0 && !/[.!?]$/.test(part) ? 0.4 : 0);
+            if (confidence > 0 && (!best || confidence > best.confidence)) {
+                best = { value: part, confidence };
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Split address lines into Salesforce address parts (best effort)
+     */
+    static parseAddress(addressLines) {
+        const parts = { street: '', city: '', state: '', postalCode: '', country: '' };
+        const remaining = addressLines.slice();
+
+        const countryIndex = remaining.findIndex(line => SignatureParser.COUNTRIES.includes(line.toLowerCase()));
+        if (countryIndex >= 0) {
+            parts.country = remaining.splice(countryIndex, 1)[0];
+        }
+
+        remaining.forEach(line => {
+            // "Springfield, IL 62704" or "Springfield IL 62704-1234"
+            const us = line.match(/^(.+?),?\s+([A-Z]{2})\s+(\d{5}(?:-\d{4})?)$/);
+            // "10115 Berlin" or "75008 Paris"
+            const european = line.match(/^(\d{4,5})\s+(.+)$/);
+            // "London SW1A 1AA"
+            const uk = line.match(/^(.+?),?\s+([A-Z]{1,2}\d[A-Z\d]?\s*\d[A-Z]{2})$/);
+
+            if (us && !parts.postalCode) {
+                Object.assign(parts, { city: us[1], state: us[2], postalCode: us[3] });
+            } else if (uk && !parts.postalCode) {
+                Object.assign(parts, { city: uk[1], postalCode: uk[2] });
+            } else if (european && !parts.postalCode && !SignatureParser.STREET.test(line)) {
+                Object.assign(parts, { postalCode: european[1], city: european[2] });
+            } else {
+                parts.street = parts.street ? `${parts.street}\n${line}` : line;
+            }
+        });
+
+        return parts;
+    }
+
+    /**
+     * Split a display name into { firstName, lastName }
+     * The default splitter is resolved here rather than in the constructor, so
+     * the parser does not depend on the order the pane loads its scripts in.
+     */
+    splitDisplayName(name) {
+        if (this.splitName) {
+            return this.splitName(name);
+        }
+        if (typeof SalesforceService !== 'undefined') {
+            return SalesforceService.splitDisplayName(name);
+        }
+        if (typeof module !== 'undefined' && module.exports) {
+            // Node (tests): the service is a module, not a global
+            return require('./salesforce-service.js').splitDisplayName(name);
+        }
+        throw new Error('SignatureParser needs SalesforceService or a splitName option');
+    }
+
+    /**
+     * Whether a line is just the sender's name
+     */
+    isNameLine(line, name) {
+        if (!name || !line) {
+            return false;
+        }
+        const normalize = value => value.toLowerCase().replace(/[^a-zÀ-ɏ]/g, '');
+        const { firstName, lastName } = this.splitDisplayName(name);
+        const squashed = normalize(line);
+        return squashed === normalize(name) || squashed === normalize(`${firstName}${lastName}`) ||
+            (squashed.length > 0 && squashed === normalize(firstName));
+    }
+
+    /**
+     * Cut the quoted previous messages off a reply
+     */
+    static stripQuotedReplies(text) {
+        const lines = text.split(/\r?\n/);
+        const end = lines.findIndex(line => SignatureParser.REPLY_HEADERS.some(pattern => pattern.test(line.trim())));
+        return (end >= 0 ? lines.slice(0, end) : lines)
+            .filter(line => !line.trim().startsWith('>'))
+            .join('\n');
+    }
+
+    /**
+     * Convert an HTML body to text, keeping line breaks between blocks
+     */
+    static htmlToText(html) {
+        const withBreaks = html
+            .replace(/<(br|\/p|\/div|\/tr|\/li|\/h\d)[^>]*>/gi, '$&\n')
+            .replace(/<\/td>/gi, ' | ');
+        if (typeof DOMParser !== 'undefined') {
+            return new DOMParser().parseFromString(withBreaks, 'text/html').body.textContent || '';
+        }
+        return withBreaks
+            .replace(/<(script|style)[\s\S]*?<\/\1>/gi, '')
+            .replace(/<[^>]+>/g, '')
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&amp;/g, '&');
+    }
+}
+
+// Signature blocks longer than this are cut off (disclaimers follow)
+SignatureParser.MAX_LINES = 12;
+SignatureParser.FALLBACK_LINES = 8;
+
+SignatureParser.SIGN_OFF = /^((best|kind|warm|many)\s+)?(regards|wishes|thanks|thank you|cheers|sincerely|best|mit freundlichen grüßen|viele grüße|cordialement)[\s,.!]*$/i;
+
+SignatureParser.NOISE = [
+    /^sent from my /i,
+    /^get outlook for /i,
+    /^(confidential|disclaimer|this (e-?mail|message) (and any|is|may))/i,
+    /^please consider the environment/i
+];
+
+SignatureParser.REPLY_HEADERS = [
+    /^-{2,}\s*original message\s*-{2,}$/i,
+    /^_{10,}$/,
+    /^from:\s.+/i,
+    /^on .+ wrote:$/i,
+    /^-{2,}\s*forwarded message\s*-{2,}$/i
+];
+
+SignatureParser.TITLE_WORDS = new RegExp('\\b(' + [
+    'ceo', 'cto', 'cfo', 'coo', 'cio', 'cmo', 'vp', 'svp', 'evp', 'president', 'founder', 'co-founder', 'owner',
+    'partner', 'principal', 'director', 'head', 'manager', 'lead', 'chief', 'officer', 'engineer', 'developer',
+    'architect', 'consultant', 'specialist', 'analyst', 'coordinator', 'administrator', 'assistant', 'associate',
+    'executive', 'representative', 'advisor', 'designer', 'scientist', 'counsel', 'attorney', 'recruiter',
+    'sales', 'marketing', 'account', 'customer success', 'geschäftsführer'
+].join('|') + ')\\b', 'i');
+
+SignatureParser.COMPANY_SUFFIX = /\b(inc|llc|ltd|limited|gmbh|ag|corp|corporation|company|co|plc|s\.?a\.?|b\.?v\.?|pty|group|holdings|solutions|technologies)\b\.?$/i;
+
+// German street names are compounds ("Hauptstraße"), so those suffixes have no leading word boundary
+SignatureParser.STREET = /\b(street|st|avenue|ave|road|rd|boulevard|blvd|lane|ln|drive|dr|way|court|ct|place|pl|square|sq|suite|ste|floor|fl|parkway|pkwy|highway|hwy|rue|via|calle)\b\.?|(straße|strasse|str\.|platz|weg)(?=[\s,]|$)/i;
+
+SignatureParser.POSTAL_CODES = [
+    /\b[A-Z]{2}\s+\d{5}(-\d{4})?\b/,
+    /\b[A-Z]{1,2}\d[A-Z\d]?\s*\d[A-Z]{2}\b/,
+    /^\d{4,5}\s+[A-ZÀ-ɏ][a-zÀ-ɏ]+/
+];
+
+SignatureParser.COUNTRIES = [
+    'usa', 'us', 'united states', 'united states of america', 'canada', 'uk', 'united kingdom', 'england',
+    'ireland', 'germany', 'deutschland', 'france', 'netherlands', 'belgium', 'switzerland', 'austria', 'spain',
+    'italy', 'sweden', 'norway', 'denmark', 'finland', 'poland', 'australia', 'new zealand', 'india', 'japan',
+    'singapore', 'north macedonia', 'macedonia'
+];
+
+// Bare hosts need one of these (or a country code) to count as a website
+SignatureParser.TLDS = ['com', 'net', 'org', 'biz', 'info', 'io', 'ai', 'app', 'dev', 'tech', 'cloud', 'online'];
+
+SignatureParser.SOCIAL_HOSTS = ['linkedin.com', 'twitter.com', 'x.com', 'facebook.com', 'instagram.com', 'youtube.com', 'github.com'];
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SignatureParser;
+} else {
+    window.SignatureParser = SignatureParser;
+}
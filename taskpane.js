@@ -1,7 +1,23 @@
-/* global Office */
+/* global Office, SalesforceService, DemoSalesforceService, SessionManager, MetadataService, RecordCache, OutboxService, ConversationService, HtmlSanitizer, SignatureParser, SALESFORCE_CONFIG */
+
+// Demo mode serves sample data from demo-api.js instead of a Salesforce org
+const salesforceService = SALESFORCE_CONFIG.demoMode ? new DemoSalesforceService() : new SalesforceService();
+const sessionManager = new SessionManager(salesforceService, SALESFORCE_CONFIG);
+const metadataService = new MetadataService(salesforceService, SALESFORCE_CONFIG);
+// Lookups are cached so switching between emails does not repeat the same queries
+const recordCache = new RecordCache(salesforceService, SALESFORCE_CONFIG);
+// Logging actions that fail while Salesforce is unreachable wait here and are retried
+const outboxService = new OutboxService(salesforceService, SALESFORCE_CONFIG);
+outboxService.onChange(displayOutbox);
+const conversationService = new ConversationService(SALESFORCE_CONFIG);
 
 let salesforceSession = null;
 let currentEmail = null;
+let currentConnectionId = null;
+// Values shown in the record update card, waiting for the user to pick fields
+let pendingRecordUpdate = null;
+// Aborted when another item is selected: cancels the previous item's lookups and drops their results
+let itemLookup = new AbortController();
 
 // Initialize the add-in
 Office.onReady((info) => {
@@ -10,43 +26,211 @@ Office.onReady((info) => {
         document.getElementById("connectionStatus").style.color = "#28a745";
         loadCurrentEmail();
         checkSalesforceAuth();
+        
+        // A pinned pane stays open while the user selects other items (Mailbox 1.5)
+        if (Office.context.mailbox.addHandlerAsync) {
+            Office.context.mailbox.addHandlerAsync(Office.EventType.ItemChanged, onItemChanged);
+        }
+        
+        // While composing, keep the attachment list in step with the message (Mailbox 1.8)
+        const item = Office.context.mailbox.item;
+        if (item && typeof item.getAttachmentsAsync === 'function' && item.addHandlerAsync) {
+            item.addHandlerAsync(Office.EventType.AttachmentsChanged, loadAttachmentList);
+        }
     }
 });
 
+// Reload the pane for the newly selected item
+function onItemChanged() {
+    itemLookup.abort();
+    itemLookup = new AbortController();
+    resetItemView();
+    
+    if (!Office.context.mailbox.item) {
+        // Nothing is selected, e.g. the last message of a folder was deleted
+        document.getElementById('currentSubject').textContent = 'No item selected';
+        document.getElementById('attachmentList').innerHTML = '<div class="loading">No attachments</div>';
+        document.getElementById('relatedRecords').innerHTML = '<div class="loading">Select an email to see related records</div>';
+        return;
+    }
+    
+    loadCurrentEmail();
+    if (salesforceSession) {
+        loadItemData();
+    }
+}
+
+// Clear everything that belongs to the previously selected item
+function resetItemView() {
+    ['recordFormSection', 'recordUpdateSection', 'convertLeadSection', 'meetingSection'].forEach(id => {
+        document.getElementById(id).classList.add('hidden');
+    });
+    document.querySelectorAll('.message-action').forEach(button => button.classList.remove('hidden'));
+    pendingRecordUpdate = null;
+    
+    document.getElementById('currentSubject').textContent = 'Loading email...';
+    document.getElementById('currentFrom').textContent = '';
+    displayLogStatus(null);
+    displayUnmatchedAddresses([]);
+    document.getElementById('relatedRecords').innerHTML = '<div class="loading">Searching for related records...</div>';
+    
+    // The Log form's choices were made for the previous item
+    document.getElementById('relatedTo').innerHTML = '<option value="">Select a record...</option>';
+    document.getElementById('meetingWhatId').innerHTML = '<option value="">None</option>';
+    document.getElementById('logComments').value = '';
+}
+
 // Check if user is already authenticated to Salesforce
-function checkSalesforceAuth() {
+async function checkSalesforceAuth() {
+    if (SALESFORCE_CONFIG.demoMode) {
+        salesforceSession = salesforceService.getSessionInfo();
+        document.getElementById('demoBadge').classList.remove('hidden');
+        showMainApp();
+        loadSalesforceData();
+        return;
+    }
+    
     try {
-        const savedSession = localStorage.getItem('salesforceSession');
-        if (savedSession) {
-            salesforceSession = JSON.parse(savedSession);
-            if (salesforceSession.access_token && !isTokenExpired(salesforceSession)) {
-                showMainApp();
-                loadRelatedRecords();
-                loadRecentActivity();
-                return;
-            }
-        }
+        salesforceSession = await salesforceService.loadSession();
     } catch (e) {
-        console.error('Error parsing saved session:', e);
+        console.error('Error loading saved session:', e);
+    }
+    showActiveConnection();
+}
+
+// Show the main view for the active connection, or sign-in if it has no usable session
+function showActiveConnection() {
+    currentConnectionId = salesforceService.getActiveConnectionId();
+    renderOrgSwitcher();
+    
+    if (salesforceSession && salesforceSession.access_token &&
+        (salesforceSession.refresh_token || !sessionManager.isExpired(salesforceSession))) {
+        showMainApp();
+        loadSalesforceData();
+        return;
+    }
+    showAuthSection(salesforceService.getActiveConnection());
+}
+
+// Fill the org switcher in the header with the saved connections
+function renderOrgSwitcher() {
+    const switcher = document.getElementById('orgSwitcher');
+    const connections = salesforceService.getConnections();
+    
+    if (SALESFORCE_CONFIG.demoMode || connections.length === 0) {
+        switcher.classList.add('hidden');
+        return;
+    }
+    
+    let html = '';
+    connections.forEach(connection => {
+        html += `<option value="${escapeHtml(connection.id)}" ${connection.id === currentConnectionId ? 'selected' : ''}>${escapeHtml(connection.name)}</option>`;
+    });
+    html += '<option value="add">+ Add org...</option>';
+    
+    switcher.innerHTML = html;
+    switcher.classList.remove('hidden');
+}
+
+// Switch to another saved org, or start adding a new one
+async function switchOrg(connectionId) {
+    if (connectionId === 'add') {
+        renderOrgSwitcher();
+        showAuthSection(null);
+        return;
     }
-    showAuthSection();
+    
+    try {
+        salesforceSession = await salesforceService.switchConnection(connectionId);
+        showActiveConnection();
+    } catch (error) {
+        console.error('Error switching org:', error);
+        alert('Error switching org: ' + getErrorMessage(error));
+        renderOrgSwitcher();
+    }
+}
+
+// Load everything the main view shows from Salesforce
+function loadSalesforceData() {
+    loadItemData();
+    loadRecentActivity();
+    loadActivityPicklists();
+    loadOutbox();
+}
+
+// Load the Salesforce data that depends on the selected item
+function loadItemData() {
+    loadRelatedRecords();
+    loadLogStatus();
+    loadMeetingOptions();
 }
 
-// Check if access token is expired
-function isTokenExpired(session) {
-    if (!session.issued_at) return true;
-    const issuedAt = parseInt(session.issued_at);
-    const now = Date.now();
-    const expirationTime = 2 * 60 * 60 * 1000; // 2 hours in milliseconds
-    return (now - issuedAt) > expirationTime;
+// Fill the activity Status and Priority pick lists with the org's values
+async function loadActivityPicklists() {
+    const picklists = { activityStatus: 'Status', activityPriority: 'Priority' };
+    
+    for (const [elementId, fieldName] of Object.entries(picklists)) {
+        const select = document.getElementById(elementId);
+        try {
+            const values = await metadataService.getPicklistValues('Task', fieldName);
+            select.innerHTML = values.map(entry =>
+                `<option value="${escapeHtml(entry.value)}">${escapeHtml(entry.label)}</option>`).join('');
+            // Logged emails are done, so prefer Completed over the org's default status
+            const preferred = values.find(entry => fieldName === 'Status' ? entry.value === 'Completed' : entry.defaultValue);
+            if (preferred) {
+                select.value = preferred.value;
+            }
+        } catch (error) {
+            console.error(`Error loading Task ${fieldName} values:`, error);
+            select.innerHTML = '';
+        }
+        select.closest('.form-group').classList.toggle('hidden', select.options.length === 0);
+    }
 }
 
-// Show authentication section
-function showAuthSection() {
+// Keep the pane in step with token refreshes from any surface
+sessionManager.onChange((session) => {
+    if (SALESFORCE_CONFIG.demoMode) {
+        return;
+    }
+    salesforceSession = session;
+    if (salesforceService.getActiveConnectionId() !== currentConnectionId) {
+        // The org was switched from another surface
+        showActiveConnection();
+    } else if (!session) {
+        showAuthSection(salesforceService.getActiveConnection());
+    }
+});
+
+// Show authentication section, prefilled for signing back in to a connection (or a new one)
+function showAuthSection(connection) {
+    const loginUrl = connection ? connection.loginUrl : 'https://login.salesforce.com';
+    const loginHost = (loginUrl.match(/^https:\/\/(login|test)\.salesforce\.com$/) || [])[1] || 'custom';
+    
+    document.getElementById('authSection').dataset.connectionId = connection ? connection.id : '';
+    document.getElementById('connectionName').value = connection ? connection.name : '';
+    document.getElementById('loginHost').value = loginHost;
+    document.getElementById('instanceUrl').value = loginHost === 'custom' ? loginUrl : '';
+    document.getElementById('apiVersion').value = connection ? connection.apiVersion : '';
+    document.getElementById('sharedComputer').checked = SalesforceService.getTokenStorageMode() === 'memory';
+    document.getElementById('cancelAddOrg').classList.toggle('hidden', !salesforceSession || !!connection);
+    updateLoginHost();
+    
     document.getElementById('authSection').classList.remove('hidden');
     document.getElementById('mainApp').classList.add('hidden');
 }
 
+// Only ask for a URL when signing in through a My Domain
+function updateLoginHost() {
+    const custom = document.getElementById('loginHost').value === 'custom';
+    document.getElementById('instanceUrlGroup').classList.toggle('hidden', !custom);
+}
+
+// Go back to the current org instead of adding another
+function cancelAddOrg() {
+    showMainApp();
+}
+
 // Show main application
 function showMainApp() {
     document.getElementById('authSection').classList.add('hidden');
@@ -54,73 +238,217 @@ function showMainApp() {
     document.getElementById('connectionStatus').style.color = '#28a745';
 }
 
-// Authenticate to Salesforce using OAuth2
+// Authenticate to Salesforce using OAuth2 (Office dialog + PKCE)
 async function authenticateToSalesforce() {
-    const instanceUrl = document.getElementById('instanceUrl').value;
-    if (!instanceUrl) {
-        alert('Please enter your Salesforce instance URL');
+    const loginHost = document.getElementById('loginHost').value;
+    const instanceUrl = document.getElementById('instanceUrl').value.trim();
+    if (loginHost === 'custom' && !instanceUrl) {
+        alert('Please enter your Salesforce My Domain URL');
         return;
     }
 
+    const previousConnectionId = salesforceService.getActiveConnectionId();
+    const existingId = document.getElementById('authSection').dataset.connectionId;
+    let connection;
     try {
-        // For demo purposes, we'll simulate successful authentication
-        // In a real implementation, you would implement proper OAuth2 flow
-        await simulateAuthentication(instanceUrl);
+        connection = salesforceService.saveConnection({
+            id: existingId || null,
+            name: document.getElementById('connectionName').value.trim(),
+            loginHost: loginHost === 'custom' ? instanceUrl : loginHost,
+            apiVersion: document.getElementById('apiVersion').value.trim()
+        });
+        await salesforceService.switchConnection(connection.id);
+        
+        // On a shared computer tokens are never written to disk
+        await salesforceService.setMemoryOnlyStorage(document.getElementById('sharedComputer').checked);
+        salesforceSession = await salesforceService.authenticate(
+            connection.loginUrl, SALESFORCE_CONFIG.clientId, SALESFORCE_CONFIG.redirectUri);
+        try {
+            salesforceSession = await sessionManager.trackExpiry(salesforceSession);
+        } catch (error) {
+            // The sign-in worked; without a stored expiry the token is refreshed on its first 401
+            console.warn('Unable to record the session expiry:', error);
+        }
+        
+        showActiveConnection();
         
     } catch (error) {
         console.error('Authentication failed:', error);
-        alert('Authentication failed. Please check your credentials and try again.');
+        alert('Authentication failed: ' + error.message);
+        
+        // Don't keep a new org that was never signed in to
+        if (connection && !existingId) {
+            await salesforceService.removeConnection(connection.id);
+            if (previousConnectionId) {
+                salesforceSession = await salesforceService.switchConnection(previousConnectionId);
+            }
+            currentConnectionId = salesforceService.getActiveConnectionId();
+            renderOrgSwitcher();
+        }
     }
 }
 
-// Simulate authentication process (replace with real OAuth2 flow)
-async function simulateAuthentication(instanceUrl) {
-    // This is a placeholder - in reality you'd implement proper OAuth2 flow
-    // For now, we'll just show that the UI works
-    const mockSession = {
-        access_token: 'mock_access_token_' + Date.now(),
-        instance_url: instanceUrl,
-        issued_at: Date.now().toString(),
-        signature: 'mock_signature',
-        token_type: 'Bearer'
-    };
-    
-    salesforceSession = mockSession;
-    localStorage.setItem('salesforceSession', JSON.stringify(mockSession));
-    
-    showMainApp();
-    loadRelatedRecords();
-    loadRecentActivity();
-    
-    // Show success message
-    alert('Connected to Salesforce successfully! (Demo mode - no real connection yet)');
-}
-
 // Load current email information
 function loadCurrentEmail() {
+    const signal = itemLookup.signal;
     try {
-        if (Office.context.mailbox.item.subject) {
-            Office.context.mailbox.item.subject.getAsync((result) => {
-                if (result.status === Office.AsyncResultStatus.Succeeded) {
-                    document.getElementById('currentSubject').textContent = result.value || 'No Subject';
-                    updateLogSubject(result.value);
-                }
-            });
-        }
+        getItemProperty('subject').then((subject) => {
+            if (signal.aborted) {
+                return;
+            }
+            document.getElementById('currentSubject').textContent = subject || 'No Subject';
+            updateLogSubject(subject);
+        });
         
-        if (Office.context.mailbox.item.itemType === Office.MailboxEnums.ItemType.Message) {
+        if (isAppointmentItem()) {
+            loadAppointmentDetails();
+        } else if (Office.context.mailbox.item.itemType === Office.MailboxEnums.ItemType.Message) {
             const fromField = Office.context.mailbox.item.from;
             if (fromField) {
                 document.getElementById('currentFrom').textContent = 
                     `From: ${fromField.displayName || fromField.emailAddress}`;
             }
         }
+        
+        loadAttachmentList();
     } catch (error) {
         console.error('Error loading email info:', error);
         document.getElementById('currentSubject').textContent = 'Email information unavailable';
     }
 }
 
+// Check whether the current item is a calendar appointment
+function isAppointmentItem() {
+    return Office.context.mailbox.item.itemType === Office.MailboxEnums.ItemType.Appointment;
+}
+
+// Read an item property that is a plain value in read mode and async in compose mode
+function getItemProperty(property) {
+    return new Promise((resolve) => {
+        const value = Office.context.mailbox.item[property];
+        if (value && typeof value.getAsync === 'function') {
+            value.getAsync((result) => {
+                resolve(result.status === Office.AsyncResultStatus.Succeeded ? result.value : null);
+            });
+        } else {
+            resolve(value === undefined ? null : value);
+        }
+    });
+}
+
+// Show appointment time and location and switch the pane to meeting mode
+async function loadAppointmentDetails() {
+    const signal = itemLookup.signal;
+    const appointment = await getCurrentAppointmentData();
+    if (signal.aborted) {
+        return;
+    }
+    const start = appointment.start ? new Date(appointment.start).toLocaleString() : '';
+    const end = appointment.end ? new Date(appointment.end).toLocaleTimeString() : '';
+    
+    document.getElementById('currentFrom').textContent =
+        `${start} - ${end}${appointment.location ? ' • ' + appointment.location : ''}`;
+    document.getElementById('meetingSection').classList.remove('hidden');
+    document.querySelectorAll('.message-action').forEach(button => button.classList.add('hidden'));
+}
+
+// Get current appointment data
+async function getCurrentAppointmentData() {
+    const [subject, start, end, location, organizer, requiredAttendees, optionalAttendees] = await Promise.all([
+        getItemProperty('subject'),
+        getItemProperty('start'),
+        getItemProperty('end'),
+        getItemProperty('location'),
+        getItemProperty('organizer'),
+        getItemProperty('requiredAttendees'),
+        getItemProperty('optionalAttendees')
+    ]);
+    
+    const toParticipant = (details, type) => ({
+        name: details.displayName,
+        email: details.emailAddress,
+        type: type
+    });
+    
+    const description = await new Promise((resolve) => {
+        Office.context.mailbox.item.body.getAsync(Office.CoercionType.Text, (result) => {
+            resolve(result.status === Office.AsyncResultStatus.Succeeded ? result.value : '');
+        });
+    });
+    
+    return {
+        subject: subject || '',
+        start: start,
+        end: end,
+        location: location || '',
+        description: description,
+        organizer: organizer ? toParticipant(organizer, 'organizer') : null,
+        attendees: (requiredAttendees || []).map(attendee => toParticipant(attendee, 'required'))
+            .concat((optionalAttendees || []).map(attendee => toParticipant(attendee, 'optional')))
+    };
+}
+
+// Offer the attendees' Accounts and Opportunities as the Event's WhatId
+async function loadMeetingOptions() {
+    if (!isAppointmentItem() || !salesforceSession) {
+        return;
+    }
+    
+    const select = document.getElementById('meetingWhatId');
+    const signal = itemLookup.signal;
+    
+    try {
+        const appointment = await getCurrentAppointmentData();
+        const emailAddresses = SalesforceService.attendeeAddresses(appointment);
+        const related = await salesforceService.findRelatedRecords(emailAddresses, { signal: signal });
+        if (signal.aborted) {
+            return;
+        }
+        
+        let html = '<option value="">None</option>';
+        related.opportunities.forEach(opportunity => {
+            html += `<option value="${escapeHtml(opportunity.Id)}">Opportunity: ${escapeHtml(opportunity.Name)}</option>`;
+        });
+        related.accounts.forEach(account => {
+            html += `<option value="${escapeHtml(account.Id)}">Account: ${escapeHtml(account.Name)}</option>`;
+        });
+        select.innerHTML = html;
+    } catch (error) {
+        if (!signal.aborted) {
+            console.error('Error loading meeting options:', error);
+        }
+    }
+}
+
+// Log the current appointment as a Salesforce Event
+async function logCurrentAppointment() {
+    if (!salesforceSession) {
+        alert('Please authenticate to Salesforce first');
+        return;
+    }
+    
+    try {
+        const appointment = await getCurrentAppointmentData();
+        const whatId = document.getElementById('meetingWhatId').value;
+        const result = await salesforceService.logAppointment(appointment, whatId || null);
+        
+        let message = `Meeting logged to Salesforce with ${result.inviteeIds.length + (result.whoId ? 1 : 0)} matched attendee(s)`;
+        if (result.unmatched.length > 0) {
+            message += `\n\nNo Contact or Lead found for: ${result.unmatched.join(', ')}`;
+        }
+        if (result.failedRelations.length > 0) {
+            message += `\n\nCould not add as invitee: ${result.failedRelations
+                .map(relation => `${relation.address || relation.relationId} (${relation.message})`).join(', ')}`;
+        }
+        alert(message);
+        loadRecentActivity();
+        
+    } catch (error) {
+        console.error('Error logging meeting:', error);
+        alert('Error logging meeting to Salesforce: ' + getErrorMessage(error));
+    }
+}
+
 // Update log subject field
 function updateLogSubject(subject) {
     const logSubject = document.getElementById('logSubject');
@@ -144,6 +472,10 @@ function switchTab(tabName) {
     // Show selected tab
     document.querySelector(`[onclick="switchTab('${tabName}')"]`).classList.add('active');
     document.getElementById(`${tabName}Tab`).classList.remove('hidden');
+    
+    if (tabName === 'diagnostics') {
+        loadDiagnostics();
+    }
 }
 
 // Log current email to Salesforce
@@ -153,15 +485,51 @@ async function logCurrentEmail() {
         return;
     }
     
+    const signal = itemLookup.signal;
     try {
         // Get email details
         const emailData = await getCurrentEmailData();
+        const relatedRecordId = document.getElementById('relatedTo').value;
+        
+        const result = await saveEmailToSalesforce(emailData, relatedRecordId);
         
-        // In a real implementation, you would make API call to Salesforce
-        const result = await saveEmailToSalesforce(emailData);
+        if (result.success && !result.alreadyLogged && signal.aborted) {
+            // Attachments and the logged-org marker belong to the item that is no longer selected
+            alert(`"${emailData.subject}" was logged to ${result.org.name}. Attachments were not uploaded ` +
+                'because another item was selected.');
+            return;
+        }
+        
+        if (result.queued) {
+            alert('Salesforce could not be reached. The email was queued and will be logged automatically ' +
+                '(attachments are not included).');
+            return;
+        }
+        
+        if (result.alreadyLogged) {
+            if (!signal.aborted) {
+                displayLogStatus(result.record);
+            }
+            alert(`Already logged to ${getLoggedTargetName(result.record)} in ${result.org.name}`);
+            return;
+        }
         
         if (result.success) {
-            alert('Email logged successfully to Salesforce (Demo mode)');
+            await salesforceService.recordLoggedOrg(Office.context.mailbox.item, result);
+            const upload = await uploadSelectedAttachments(result.id, relatedRecordId);
+            if (emailData.inlineImages && emailData.inlineImages.length > 0) {
+                upload.failed.push(...await uploadInlineImages(result.id, emailData.inlineImages));
+            }
+            let message = upload.failed.length > 0
+                ? `Email logged to ${result.org.name}, but ${upload.failed.length} attachment(s) failed to upload: ` +
+                    upload.failed.join(', ')
+                : `Email logged successfully to ${result.org.name}`;
+            if (result.failedRelations.length > 0) {
+                message += `\n\n${result.failedRelations.length} participant(s) could not be linked to the email`;
+            }
+            alert(message);
+            displayUnmatchedAddresses(result.unmatched, result.failedRelations);
+            loadLogStatus();
             loadRecentActivity(); // Refresh activity
         } else {
             alert('Failed to log email: ' + result.error);
@@ -169,56 +537,394 @@ async function logCurrentEmail() {
         
     } catch (error) {
         console.error('Error logging email:', error);
-        alert('Error logging email to Salesforce');
+        alert('Error logging email to Salesforce: ' + getErrorMessage(error));
+    }
+}
+
+// Log every message of the current conversation to Salesforce
+async function logCurrentConversation() {
+    if (!salesforceSession) {
+        alert('Please authenticate to Salesforce first');
+        return;
+    }
+    
+    try {
+        const messages = await conversationService.getConversationMessages(
+            Office.context.mailbox.item.conversationId);
+        
+        if (messages.length === 0) {
+            alert('No messages found in this conversation');
+            return;
+        }
+        
+        const relatedRecordId = document.getElementById('relatedTo').value;
+        const result = await salesforceService.logConversation(messages, relatedRecordId || null);
+        
+        const failedRelations = [].concat(...result.logged.map(logged => logged.failedRelations || []));
+        alert(`Logged ${result.logged.length} message(s) from this conversation to ${salesforceService.getConnectionInfo().name}` +
+            (result.skipped.length > 0 ? `, skipped ${result.skipped.length} already logged` : '') +
+            (failedRelations.length > 0 ? `\n\n${failedRelations.length} participant(s) could not be linked to their email` : ''));
+        loadLogStatus();
+        loadRecentActivity();
+        
+    } catch (error) {
+        console.error('Error logging conversation:', error);
+        alert('Error logging conversation to Salesforce: ' + getErrorMessage(error));
     }
 }
 
 // Get current email data
 async function getCurrentEmailData() {
+    const item = Office.context.mailbox.item;
+    const emailData = {
+        subject: '',
+        from: '',
+        to: [],
+        cc: [],
+        body: '',
+        date: item.dateTimeCreated || new Date(),
+        incoming: false,
+        internetMessageId: item.internetMessageId || null,
+        conversationId: item.conversationId || null
+    };
+    
+    try {
+        const [subject, from, to, cc] = await Promise.all([
+            getItemProperty('subject'),
+            getItemProperty('from'),
+            getItemProperty('to'),
+            getItemProperty('cc')
+        ]);
+        const userAddress = (Office.context.mailbox.userProfile.emailAddress || '').toLowerCase();
+        
+        emailData.subject = subject || '';
+        emailData.from = from ? from.emailAddress : userAddress;
+        emailData.to = (to || []).map(recipient => recipient.emailAddress);
+        emailData.cc = (cc || []).map(recipient => recipient.emailAddress);
+        emailData.incoming = !!from && from.emailAddress.toLowerCase() !== userAddress;
+        
+        if (item.body) {
+            emailData.body = await getBodyContent(Office.CoercionType.Text);
+            
+            if (SALESFORCE_CONFIG.captureHtmlBody) {
+                const sanitizer = new HtmlSanitizer({
+                    inlineImageMode: SALESFORCE_CONFIG.inlineImageMode,
+                    maxLength: SALESFORCE_CONFIG.maxBodyLength
+                });
+                const sanitized = sanitizer.sanitize(await getBodyContent(Office.CoercionType.Html));
+                emailData.htmlBody = sanitized.html;
+                emailData.inlineImages = sanitized.inlineImages;
+            }
+            
+            if (emailData.body.length > SALESFORCE_CONFIG.maxBodyLength) {
+                emailData.body = emailData.body.substring(0, SALESFORCE_CONFIG.maxBodyLength);
+            }
+        }
+    } catch (error) {
+        console.error('Error getting email data:', error);
+    }
+    
+    return emailData;
+}
+
+// Read the item body in the given coercion type
+function getBodyContent(coercionType) {
     return new Promise((resolve) => {
-        const emailData = {
-            subject: '',
-            from: '',
-            to: '',
-            body: '',
-            date: new Date()
-        };
+        Office.context.mailbox.item.body.getAsync(coercionType, (bodyResult) => {
+            resolve(bodyResult.value || '');
+        });
+    });
+}
+
+// Save email to Salesforce as an EmailMessage record, or queue it when Salesforce is unreachable
+async function saveEmailToSalesforce(emailData, relatedRecordId) {
+    const submitted = await outboxService.submit('logEmail', {
+        emailData: emailData,
+        relatedRecordId: relatedRecordId || null
+    }, {
+        key: emailData.internetMessageId,
+        label: `Email: ${emailData.subject || 'No Subject'}`
+    });
+    if (submitted.queued) {
+        return { success: false, queued: true };
+    }
+    
+    const result = submitted.result;
+    return {
+        success: true,
+        id: result.id,
+        alreadyLogged: !!result.alreadyLogged,
+        record: result.record,
+        unmatched: result.unmatched || [],
+        failedRelations: result.failedRelations || [],
+        org: result.org
+    };
+}
+
+// List participants that have no Contact or Lead so the user can create one,
+// and participants whose relation to the logged email failed to save
+function displayUnmatchedAddresses(addresses, failedRelations = []) {
+    const section = document.getElementById('unmatchedSection');
+    const container = document.getElementById('unmatchedAddresses');
+    
+    if ((!addresses || addresses.length === 0) && failedRelations.length === 0) {
+        section.classList.add('hidden');
+        container.innerHTML = '';
+        return;
+    }
+    
+    let html = '';
+    (addresses || []).forEach(address => {
+        html += `
+            <div class="contact-item">
+                <div class="contact-name">${escapeHtml(address)}</div>
+                <div class="contact-details">
+                    <button class="btn btn-secondary" data-address="${escapeHtml(address)}" onclick="createContact(this.dataset.address)">Create Contact</button>
+                    <button class="btn btn-secondary" data-address="${escapeHtml(address)}" onclick="createLead(this.dataset.address)">Create Lead</button>
+                </div>
+            </div>
+        `;
+    });
+    
+    failedRelations.forEach(relation => {
+        html += `
+            <div class="contact-item">
+                <div class="contact-name">${escapeHtml(relation.address || relation.relationId)}</div>
+                <div class="contact-details">Not linked to the email: ${escapeHtml(relation.message || 'Unknown error')}</div>
+            </div>
+        `;
+    });
+    
+    container.innerHTML = html;
+    section.classList.remove('hidden');
+}
+
+// Check whether the current email has already been logged
+async function loadLogStatus() {
+    const internetMessageId = Office.context.mailbox.item.internetMessageId;
+    
+    if (!salesforceSession || !internetMessageId) {
+        displayLogStatus(null);
+        return;
+    }
+    
+    const signal = itemLookup.signal;
+    try {
+        const [existing, loggedOrgs] = await Promise.all([
+            salesforceService.findLoggedEmail(internetMessageId, true, { signal: signal }),
+            salesforceService.getLoggedOrgs(Office.context.mailbox.item)
+        ]);
+        if (signal.aborted) {
+            return;
+        }
+        const activeConnectionId = salesforceService.getActiveConnectionId();
+        displayLogStatus(existing, loggedOrgs.filter(log => log.connectionId !== activeConnectionId));
+    } catch (error) {
+        if (!signal.aborted) {
+            console.error('Error checking log status:', error);
+            displayLogStatus(null);
+        }
+    }
+}
+
+// Display the "already logged" indicator for the current email
+// otherOrgs lists logs recorded on the item for orgs other than the active one
+function displayLogStatus(record, otherOrgs = []) {
+    const container = document.getElementById('logStatus');
+    
+    if (!record && otherOrgs.length === 0) {
+        container.innerHTML = '';
+        container.classList.add('hidden');
+        return;
+    }
+    
+    let html = '';
+    if (record) {
+        html += `
+            Already logged to ${escapeHtml(getLoggedTargetName(record))} •
+            <a href="${escapeHtml(salesforceService.getRecordUrl(record.Id))}" target="_blank">Open record</a>
+        `;
+    }
+    if (otherOrgs.length > 0) {
+        html += `<div>Also logged in ${escapeHtml(otherOrgs.map(log => log.org).join(', '))}</div>`;
+    }
+    
+    container.innerHTML = html;
+    container.classList.remove('hidden');
+}
+
+// Name of the record a logged email is attached to
+function getLoggedTargetName(record) {
+    return record.RelatedTo && record.RelatedTo.Name ? record.RelatedTo.Name : 'Salesforce';
+}
+
+// Get every attachment of the current item
+// Read mode has them in item.attachments; compose mode only through getAttachmentsAsync.
+function getItemAttachments() {
+    const item = Office.context.mailbox.item;
+    return new Promise((resolve) => {
+        if (Array.isArray(item.attachments) || typeof item.getAttachmentsAsync !== 'function') {
+            resolve(item.attachments || []);
+            return;
+        }
+        item.getAttachmentsAsync((result) => {
+            resolve(result.status === Office.AsyncResultStatus.Succeeded ? result.value : []);
+        });
+    });
+}
+
+// Get the file attachments of the current item (inline images excluded)
+async function getCurrentAttachments() {
+    const attachments = await getItemAttachments();
+    return attachments.filter(attachment => !attachment.isInline);
+}
+
+// Show the item's attachments as a pick list
+async function loadAttachmentList() {
+    const container = document.getElementById('attachmentList');
+    const attachments = await getCurrentAttachments();
+    
+    if (attachments.length === 0) {
+        container.innerHTML = '<div class="loading">No attachments</div>';
+        return;
+    }
+    
+    let html = '';
+    attachments.forEach((attachment, index) => {
+        const tooLarge = attachment.size > SALESFORCE_CONFIG.maxAttachmentSize;
+        html += `
+            <div class="attachment-item">
+                <label>
+                    <input type="checkbox" class="attachment-checkbox" value="${index}" data-attachment-id="${escapeHtml(attachment.id)}" ${tooLarge ? 'disabled' : 'checked'}>
+                    ${escapeHtml(attachment.name)}
+                    <small>(${formatFileSize(attachment.size)}${tooLarge ? ' - too large to upload' : ''})</small>
+                </label>
+                <div class="attachment-status" id="attachmentStatus${index}"></div>
+            </div>
+        `;
+    });
+    
+    container.innerHTML = html;
+}
+
+// Read an attachment's content as base64
+function getAttachmentContent(attachment) {
+    return new Promise((resolve, reject) => {
+        Office.context.mailbox.item.getAttachmentContentAsync(attachment.id, (result) => {
+            if (result.status !== Office.AsyncResultStatus.Succeeded) {
+                reject(new Error(result.error.message));
+                return;
+            }
+            
+            const content = result.value;
+            if (content.format === Office.MailboxEnums.AttachmentContentFormat.Base64) {
+                resolve({ fileName: attachment.name, data: content.content });
+            } else if (content.format === Office.MailboxEnums.AttachmentContentFormat.Eml ||
+                       content.format === Office.MailboxEnums.AttachmentContentFormat.ICalendar) {
+                // Attached items come back as text; upload them as files
+                const extension = content.format === Office.MailboxEnums.AttachmentContentFormat.Eml ? '.eml' : '.ics';
+                resolve({
+                    fileName: attachment.name + extension,
+                    data: btoa(unescape(encodeURIComponent(content.content)))
+                });
+            } else {
+                reject(new Error('Cloud attachments cannot be uploaded'));
+            }
+        });
+    });
+}
+
+// Upload the selected attachments as Files linked to the email and related record
+async function uploadSelectedAttachments(emailMessageId, relatedRecordId) {
+    const attachments = await getCurrentAttachments();
+    // Matched by id: in compose mode the list may have changed since it was shown
+    const selected = Array.from(document.querySelectorAll('.attachment-checkbox:checked'))
+        .map(checkbox => ({
+            index: checkbox.value,
+            attachment: attachments.find(attachment => attachment.id === checkbox.dataset.attachmentId)
+        }))
+        .filter(entry => entry.attachment);
+    const uploaded = [];
+    const failed = [];
+    
+    for (let i = 0; i < selected.length; i++) {
+        const { index, attachment } = selected[i];
+        const status = document.getElementById(`attachmentStatus${index}`);
+        status.className = 'attachment-status';
+        status.textContent = `Uploading (${i + 1} of ${selected.length})...`;
         
         try {
-            if (Office.context.mailbox.item.subject) {
-                Office.context.mailbox.item.subject.getAsync((result) => {
-                    emailData.subject = result.value || '';
-                    
-                    if (Office.context.mailbox.item.body) {
-                        Office.context.mailbox.item.body.getAsync(Office.CoercionType.Text, (bodyResult) => {
-                            emailData.body = bodyResult.value || '';
-                            resolve(emailData);
-                        });
-                    } else {
-                        resolve(emailData);
-                    }
-                });
-            } else {
-                resolve(emailData);
-            }
+            const file = await getAttachmentContent(attachment);
+            await salesforceService.uploadFile(file.fileName, file.data, [emailMessageId, relatedRecordId]);
+            status.textContent = 'Uploaded';
+            uploaded.push(attachment.name);
+        } catch (error) {
+            console.error(`Error uploading attachment ${attachment.name}:`, error);
+            status.className = 'attachment-status error';
+            status.textContent = `Failed: ${getErrorMessage(error)}`;
+            failed.push(attachment.name);
+        }
+    }
+    
+    return { uploaded, failed };
+}
+
+// Upload the item's inline images as Files on the logged email
+async function uploadInlineImages(emailMessageId, contentIds) {
+    // Only the images the sanitized body still shows; ones in removed quoted replies are skipped
+    const images = (await getItemAttachments()).filter(attachment => attachment.isInline &&
+        contentIds.some(contentId => isInlineImage(attachment, contentId)));
+    const failed = [];
+    
+    for (const image of images) {
+        if (image.size > SALESFORCE_CONFIG.maxAttachmentSize) {
+            failed.push(image.name);
+            continue;
+        }
+        try {
+            const file = await getAttachmentContent(image);
+            await salesforceService.uploadFile(file.fileName, file.data, [emailMessageId]);
         } catch (error) {
-            console.error('Error getting email data:', error);
-            resolve(emailData);
+            console.error(`Error uploading inline image ${image.name}:`, error);
+            failed.push(image.name);
         }
-    });
+    }
+    
+    return failed;
 }
 
-// Save email to Salesforce (mock implementation)
-async function saveEmailToSalesforce(emailData) {
-    // This would be a real Salesforce API call
-    return new Promise((resolve) => {
-        setTimeout(() => {
-            resolve({
-                success: true,
-                id: 'mock_activity_id_' + Date.now()
-            });
-        }, 1000);
-    });
+// Whether an inline attachment is the image a cid: reference points to
+function isInlineImage(attachment, contentId) {
+    const id = contentId.toLowerCase();
+    if (attachment.contentId) {
+        return attachment.contentId.replace(/^<|>$/g, '').toLowerCase() === id;
+    }
+    // Without contentId (before Mailbox 1.8), Outlook cids start with the file name: image001.png@01DA...
+    const name = (attachment.name || '').toLowerCase();
+    return id === name || id.startsWith(`${name}@`);
+}
+
+// Format a byte count for display
+function formatFileSize(bytes) {
+    if (bytes >= 1024 * 1024) {
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+    return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
+
+// Describe an error for the user; Salesforce errors also say what to do about them
+function getErrorMessage(error) {
+    return error instanceof SalesforceError ? error.userMessage : error.message;
+}
+
+// Escape text for safe use in HTML markup
+function escapeHtml(text) {
+    return String(text === undefined || text === null ? '' : text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
 }
 
 // Search contacts in Salesforce
@@ -244,46 +950,14 @@ async function performSearch() {
     resultsContainer.innerHTML = '<div class="loading">Searching...</div>';
     
     try {
-        const results = await searchSalesforceRecords(searchTerm);
+        const results = await salesforceService.searchContactsAndLeads(searchTerm);
         displaySearchResults(results);
     } catch (error) {
         console.error('Search error:', error);
-        resultsContainer.innerHTML = '<div class="loading">Search failed. Please try again.</div>';
+        resultsContainer.innerHTML = `<div class="loading">Search failed. ${escapeHtml(getErrorMessage(error))}</div>`;
     }
 }
 
-// Search Salesforce records (mock implementation)
-async function searchSalesforceRecords(searchTerm) {
-    // This would be a real Salesforce SOSL/SOQL query
-    return new Promise((resolve) => {
-        setTimeout(() => {
-            const mockResults = [
-                {
-                    type: 'Contact',
-                    id: 'contact_1',
-                    name: 'John Smith',
-                    email: 'john.smith@example.com',
-                    company: 'Acme Corp',
-                    title: 'VP Sales'
-                },
-                {
-                    type: 'Lead',
-                    id: 'lead_1',
-                    name: 'Jane Doe',
-                    email: 'jane.doe@prospect.com',
-                    company: 'Prospect Inc',
-                    title: 'Marketing Director'
-                }
-            ].filter(record => 
-                record.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                record.email.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                record.company.toLowerCase().includes(searchTerm.toLowerCase())
-            );
-            resolve(mockResults);
-        }, 1000);
-    });
-}
-
 // Display search results
 function displaySearchResults(results) {
     const container = document.getElementById('searchResults');
@@ -295,12 +969,14 @@ function displaySearchResults(results) {
     
     let html = '';
     results.forEach(record => {
+        const details = [record.email, record.company, record.title].filter(Boolean).map(escapeHtml).join(' • ');
         html += `
-            <div class="contact-item" onclick="selectRecord('${record.id}', '${record.type}')">
-                <div class="contact-name">${record.name}</div>
+            <div class="contact-item" data-id="${escapeHtml(record.id)}" data-type="${escapeHtml(record.type)}"
+                 data-name="${escapeHtml(record.name)}" onclick="selectRecord(this.dataset.id, this.dataset.type, this.dataset.name)">
+                <div class="contact-name">${escapeHtml(record.name)}</div>
                 <div class="contact-details">
-                    ${record.email} • ${record.company} • ${record.title}
-                    <br><small>${record.type}</small>
+                    ${details}
+                    <br><small>${escapeHtml(record.type)}</small>
                 </div>
             </div>
         `;
@@ -310,19 +986,27 @@ function displaySearchResults(results) {
 }
 
 // Select a record
-function selectRecord(recordId, recordType) {
+function selectRecord(recordId, recordType, recordName) {
     // Add to related records dropdown
-    const relatedSelect = document.getElementById('relatedTo');
-    const option = document.createElement('option');
-    option.value = recordId;
-    option.textContent = `${recordType}: ${recordId}`;
-    relatedSelect.appendChild(option);
-    relatedSelect.value = recordId;
+    addRelatedOption(recordId, recordType, recordName);
+    document.getElementById('relatedTo').value = recordId;
     
     // Switch to log tab
     switchTab('log');
+}
+
+// Add a record to the Related To dropdown once
+function addRelatedOption(recordId, recordType, recordName) {
+    const relatedSelect = document.getElementById('relatedTo');
+    if (Array.from(relatedSelect.options).some(option => option.value === recordId)) {
+        return;
+    }
     
-    alert(`Selected ${recordType} record: ${recordId}`);
+    const option = document.createElement('option');
+    option.value = recordId;
+    option.dataset.type = recordType;
+    option.textContent = `${recordType}: ${recordName || recordId}`;
+    relatedSelect.appendChild(option);
 }
 
 // Load related records
@@ -334,26 +1018,65 @@ async function loadRelatedRecords() {
         return;
     }
     
+    const signal = itemLookup.signal;
     try {
-        // In real implementation, search for records related to current email
-        const related = await findRelatedRecords();
-        displayRelatedRecords(related);
+        const addresses = await getParticipantAddresses();
+        const related = await salesforceService.findRelatedRecords(addresses, { signal: signal });
+        const records = [
+            ...related.contacts.map(contact => ({
+                id: contact.Id, type: 'Contact', name: contact.Name, email: contact.Email,
+                details: [contact.Title, contact.Account ? contact.Account.Name : '']
+            })),
+            ...related.leads.map(lead => ({
+                id: lead.Id, type: 'Lead', name: lead.Name, email: lead.Email,
+                details: [lead.Title, lead.Company, lead.Status]
+            })),
+            ...related.accounts.map(account => ({
+                id: account.Id, type: 'Account', name: account.Name,
+                details: [account.Type, account.Industry]
+            })),
+            ...related.opportunities.map(opportunity => ({
+                id: opportunity.Id, type: 'Opportunity', name: opportunity.Name,
+                details: [opportunity.StageName, opportunity.CloseDate]
+            }))
+        ];
+        
+        // The sender's own record can be updated from their signature
+        const from = isAppointmentItem() ? null : await getItemProperty('from');
+        records.forEach(record => {
+            record.fromSender = !!(from && record.email && record.email.toLowerCase() === from.emailAddress.toLowerCase());
+        });
+        if (signal.aborted) {
+            return;
+        }
+        
+        records.forEach(record => addRelatedOption(record.id, record.type, record.name));
+        displayRelatedRecords(records);
     } catch (error) {
+        if (signal.aborted) {
+            return;
+        }
         console.error('Error loading related records:', error);
-        container.innerHTML = '<div class="loading">Error loading related records</div>';
+        container.innerHTML = `<div class="loading">Error loading related records. ${escapeHtml(getErrorMessage(error))}</div>`;
     }
 }
 
-// Find related records (mock implementation)
-async function findRelatedRecords() {
-    return new Promise((resolve) => {
-        setTimeout(() => {
-            resolve([
-                { type: 'Contact', name: 'John Smith', id: 'contact_1' },
-                { type: 'Opportunity', name: 'Q4 Deal', id: 'opp_1' }
-            ]);
-        }, 1000);
-    });
+// Get the email addresses of everyone on the current item
+async function getParticipantAddresses() {
+    if (isAppointmentItem()) {
+        const appointment = await getCurrentAppointmentData();
+        return appointment.attendees.concat(appointment.organizer || [])
+            .map(participant => participant.email)
+            .filter(Boolean);
+    }
+    
+    const [from, to, cc] = await Promise.all([
+        getItemProperty('from'),
+        getItemProperty('to'),
+        getItemProperty('cc')
+    ]);
+    const recipients = [from].concat(to || [], cc || []).filter(Boolean);
+    return [...new Set(recipients.map(recipient => recipient.emailAddress.toLowerCase()))];
 }
 
 // Display related records
@@ -367,10 +1090,13 @@ function displayRelatedRecords(records) {
     
     let html = '';
     records.forEach(record => {
+        const details = [record.type].concat(record.details || []).filter(Boolean).map(escapeHtml).join(' • ');
         html += `
-            <div class="contact-item" onclick="viewRecord('${record.id}')">
-                <div class="contact-name">${record.name}</div>
-                <div class="contact-details">${record.type}</div>
+            <div class="contact-item" data-id="${escapeHtml(record.id)}" onclick="viewRecord(this.dataset.id)">
+                <div class="contact-name">${escapeHtml(record.name)}</div>
+                <div class="contact-details">${details}</div>
+                ${record.fromSender ? `<button class="btn btn-secondary" data-id="${escapeHtml(record.id)}" data-type="${escapeHtml(record.type)}" onclick="event.stopPropagation(); showSignatureUpdate(this.dataset.id, this.dataset.type)">Update from signature</button>` : ''}
+                ${record.fromSender && record.type === 'Lead' ? `<button class="btn btn-secondary" data-id="${escapeHtml(record.id)}" onclick="event.stopPropagation(); showConvertLead(this.dataset.id)">Convert Lead</button>` : ''}
             </div>
         `;
     });
@@ -380,12 +1106,11 @@ function displayRelatedRecords(records) {
 
 // View a record
 function viewRecord(recordId) {
-    // In a real implementation, this would open the record in Salesforce
-    alert(`Opening record: ${recordId} (Demo mode)`);
+    window.open(salesforceService.getRecordUrl(recordId), '_blank');
 }
 
-// Load recent activity
-async function loadRecentActivity() {
+// Load recent activity; skipped while API calls are running low unless forced
+async function loadRecentActivity(force = false) {
     const container = document.getElementById('recentActivity');
     
     if (!salesforceSession) {
@@ -394,42 +1119,29 @@ async function loadRecentActivity() {
     }
     
     try {
-        const activities = await getRecentActivities();
+        const result = await salesforceService.getUserActivities(10, { essential: force });
+        const activities = (result.records || []).map(task => ({
+            type: task.Type || 'Task',
+            subject: task.Subject,
+            date: new Date(task.CreatedDate),
+            contact: task.Who ? task.Who.Name : (task.What ? task.What.Name : '')
+        }));
         displayRecentActivity(activities);
     } catch (error) {
+        if (error instanceof SalesforceReserveError) {
+            container.innerHTML = `
+                <div class="loading">
+                    ${escapeHtml(error.userMessage)}
+                    <button class="btn btn-secondary" onclick="loadRecentActivity(true)">Load anyway</button>
+                </div>
+            `;
+            return;
+        }
         console.error('Error loading recent activity:', error);
-        container.innerHTML = '<div class="loading">Error loading recent activity</div>';
+        container.innerHTML = `<div class="loading">Error loading recent activity. ${escapeHtml(getErrorMessage(error))}</div>`;
     }
 }
 
-// Get recent activities (mock implementation)
-async function getRecentActivities() {
-    return new Promise((resolve) => {
-        setTimeout(() => {
-            resolve([
-                {
-                    type: 'Email',
-                    subject: 'Follow up on proposal',
-                    date: new Date(Date.now() - 2 * 60 * 60 * 1000), // 2 hours ago
-                    contact: 'John Smith'
-                },
-                {
-                    type: 'Call',
-                    subject: 'Discovery call with prospect',
-                    date: new Date(Date.now() - 24 * 60 * 60 * 1000), // 1 day ago
-                    contact: 'Jane Doe'
-                },
-                {
-                    type: 'Meeting',
-                    subject: 'Product demo',
-                    date: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000), // 3 days ago
-                    contact: 'Mike Johnson'
-                }
-            ]);
-        }, 1000);
-    });
-}
-
 // Display recent activity
 function displayRecentActivity(activities) {
     const container = document.getElementById('recentActivity');
@@ -444,9 +1156,9 @@ function displayRecentActivity(activities) {
         const timeAgo = getTimeAgo(activity.date);
         html += `
             <div class="activity-item">
-                <div class="activity-type">${activity.type}</div>
-                <div>${activity.subject}</div>
-                <div class="activity-date">${timeAgo} • ${activity.contact}</div>
+                <div class="activity-type">${escapeHtml(activity.type)}</div>
+                <div>${escapeHtml(activity.subject)}</div>
+                <div class="activity-date">${timeAgo}${activity.contact ? ' • ' + escapeHtml(activity.contact) : ''}</div>
             </div>
         `;
     });
@@ -471,32 +1183,539 @@ function getTimeAgo(date) {
     }
 }
 
-// Create contact
-function createContact() {
+// Create contact, pre-filled from an email participant (the sender by default)
+function createContact(emailAddress) {
+    openRecordForm('Contact', emailAddress);
+}
+
+// Create lead, pre-filled from an email participant (the sender by default)
+function createLead(emailAddress) {
+    openRecordForm('Lead', emailAddress);
+}
+
+// Create account for the sender's company
+function createAccount() {
+    openRecordForm('Account');
+}
+
+// Fields shown when the org's create layout is unavailable
+const RECORD_FORM_DEFAULT_FIELDS = {
+    Contact: ['FirstName', 'LastName', 'Email', 'Phone', 'MobilePhone', 'Title', 'Department', 'MailingAddress'],
+    Lead: ['FirstName', 'LastName', 'Company', 'Email', 'Phone', 'MobilePhone', 'Title', 'Website', 'Address', 'Status', 'LeadSource'],
+    Account: ['Name', 'Website', 'Phone', 'Type', 'Industry', 'BillingAddress']
+};
+
+// Field types the form can edit; lookups and the like are left to Salesforce
+const RECORD_FORM_TYPES = ['string', 'email', 'phone', 'url', 'textarea', 'picklist', 'boolean', 'date', 'double', 'currency', 'percent', 'int'];
+
+// Open the create form for a Contact or Lead, built from the org's metadata
+async function openRecordForm(objectType, emailAddress) {
     if (!salesforceSession) {
         alert('Please authenticate to Salesforce first');
         return;
     }
     
-    // In demo mode, just show what would happen
-    alert('Would open Salesforce to create a new Contact (Demo mode)');
+    const section = document.getElementById('recordFormSection');
+    const container = document.getElementById('recordFormFields');
+    section.dataset.objectType = objectType;
+    document.getElementById('recordFormTitle').textContent = `New ${objectType}`;
+    displayRecordFormErrors([]);
+    displayRecordFormDuplicates([]);
+    container.innerHTML = '<div class="loading">Loading fields...</div>';
+    section.classList.remove('hidden');
+    section.scrollIntoView({ behavior: 'smooth' });
+    
+    try {
+        const [fields, prefill, signature] = await Promise.all([
+            getRecordFormFields(objectType),
+            getParticipantPrefill(emailAddress, objectType),
+            getSignatureValues(objectType, emailAddress)
+        ]);
+        const values = Object.assign(prefill, signature);
+        section.dataset.emailAddress = prefill.Email || '';
+        container.innerHTML = fields
+            .map(field => renderFormField(field, values[field.name], field.name in signature ? 'From email signature' : ''))
+            .join('');
+    } catch (error) {
+        console.error(`Error loading ${objectType} form:`, error);
+        container.innerHTML = '';
+        displayRecordFormErrors([{ field: null, message: 'Error loading form: ' + getErrorMessage(error) }]);
+    }
 }
 
-// Create lead
-function createLead() {
-    if (!salesforceSession) {
-        alert('Please authenticate to Salesforce first');
+// Fields of the create layout (or the defaults) followed by any other required fields
+async function getRecordFormFields(objectType) {
+    const [describe, layoutFields] = await Promise.all([
+        metadataService.describe(objectType),
+        metadataService.getLayoutFields(objectType, 'Create')
+    ]);
+    
+    const editable = describe.fields.filter(field => field.createable && RECORD_FORM_TYPES.includes(field.type));
+    const listed = [];
+    (layoutFields || RECORD_FORM_DEFAULT_FIELDS[objectType] || []).forEach(name => {
+        // Layouts name compound fields (Name, MailingAddress); show their parts
+        editable
+            .filter(field => field.name === name || field.compoundFieldName === name)
+            .forEach(field => {
+                if (!listed.includes(field)) {
+                    listed.push(field);
+                }
+            });
+    });
+    
+    const required = editable.filter(field => isRequiredField(field) && !listed.includes(field));
+    return listed.concat(required);
+}
+
+// Whether a field must be filled in when creating a record
+function isRequiredField(field) {
+    return !field.nillable && !field.defaultedOnCreate && field.type !== 'boolean';
+}
+
+// Values to pre-fill from an email participant: name, address and company from the domain
+async function getParticipantPrefill(emailAddress, objectType) {
+    const [from, to, cc] = await Promise.all([getItemProperty('from'), getItemProperty('to'), getItemProperty('cc')]);
+    const address = emailAddress || (from ? from.emailAddress : '');
+    const participant = [from].concat(to || [], cc || [])
+        .find(recipient => recipient && recipient.emailAddress.toLowerCase() === address.toLowerCase());
+    const { firstName, lastName } = SalesforceService.splitDisplayName(participant ? participant.displayName : '', address);
+    
+    if (objectType === 'Account') {
+        const company = SalesforceService.companyFromEmail(address);
+        return {
+            Name: company,
+            Website: company ? `www.${address.split('@')[1].toLowerCase()}` : ''
+        };
+    }
+    
+    return {
+        FirstName: firstName,
+        LastName: lastName,
+        Email: address,
+        Company: SalesforceService.companyFromEmail(address)
+    };
+}
+
+// Signature values below this confidence are not used
+const SIGNATURE_MIN_CONFIDENCE = 0.5;
+
+// Fields filled from each signature value
+const SIGNATURE_FIELDS = {
+    Contact: {
+        title: 'Title', phone: 'Phone', mobile: 'MobilePhone',
+        street: 'MailingStreet', city: 'MailingCity', state: 'MailingState', postalCode: 'MailingPostalCode', country: 'MailingCountry'
+    },
+    Lead: {
+        title: 'Title', phone: 'Phone', mobile: 'MobilePhone', company: 'Company', website: 'Website',
+        street: 'Street', city: 'City', state: 'State', postalCode: 'PostalCode', country: 'Country'
+    },
+    Account: {
+        company: 'Name', website: 'Website', phone: 'Phone',
+        street: 'BillingStreet', city: 'BillingCity', state: 'BillingState', postalCode: 'BillingPostalCode', country: 'BillingCountry'
+    }
+};
+
+// Field values from the sender's email signature; other participants did not sign the message
+async function getSignatureValues(objectType, emailAddress) {
+    try {
+        const from = await getItemProperty('from');
+        if (!from || isAppointmentItem() || (emailAddress && emailAddress.toLowerCase() !== from.emailAddress.toLowerCase())) {
+            return {};
+        }
+        
+        const body = await getBodyContent(Office.CoercionType.Text);
+        const signature = new SignatureParser().parse(body, { name: from.displayName, email: from.emailAddress });
+        const fieldNames = SIGNATURE_FIELDS[objectType] || {};
+        const values = {};
+        Object.keys(signature.fields).forEach(key => {
+            const found = signature.fields[key];
+            if (!found || found.confidence < SIGNATURE_MIN_CONFIDENCE) {
+                return;
+            }
+            // The address is split over the street, city, state, postal code and country fields
+            const parts = key === 'address' ? found.parts : { [key]: found.value };
+            Object.keys(parts).forEach(part => {
+                if (fieldNames[part] && parts[part]) {
+                    values[fieldNames[part]] = parts[part];
+                }
+            });
+        });
+        return values;
+    } catch (error) {
+        console.warn('Unable to read the email signature:', error);
+        return {};
+    }
+}
+
+// Render one form input for a describe field, with an optional hint below it
+function renderFormField(field, value, hint = '') {
+    const id = `recordField_${field.name}`;
+    const attributes = `id="${escapeHtml(id)}" class="form-control" data-field="${escapeHtml(field.name)}"`;
+    let input;
+    
+    if (field.type === 'picklist') {
+        const options = field.picklistValues.filter(entry => entry.active);
+        const selected = value || (options.find(entry => entry.defaultValue) || {}).value || '';
+        input = `
+            <select ${attributes}>
+                ${isRequiredField(field) ? '' : '<option value="">--None--</option>'}
+                ${options.map(entry => `<option value="${escapeHtml(entry.value)}" ${entry.value === selected ? 'selected' : ''}>${escapeHtml(entry.label || entry.value)}</option>`).join('')}
+            </select>
+        `;
+    } else if (field.type === 'textarea') {
+        input = `<textarea ${attributes} rows="3">${escapeHtml(value || '')}</textarea>`;
+    } else if (field.type === 'boolean') {
+        input = `<input type="checkbox" id="${escapeHtml(id)}" data-field="${escapeHtml(field.name)}" ${field.defaultValue ? 'checked' : ''}>`;
+    } else {
+        const inputTypes = { email: 'email', phone: 'tel', url: 'url', date: 'date', double: 'number', currency: 'number', percent: 'number', int: 'number' };
+        input = `<input type="${inputTypes[field.type] || 'text'}" ${attributes} value="${escapeHtml(value || '')}" ${field.length ? `maxlength="${field.length}"` : ''}>`;
+    }
+    
+    return `
+        <div class="form-group">
+            <label class="form-label" for="${escapeHtml(id)}">${escapeHtml(field.label)}${isRequiredField(field) ? ' <span class="required">*</span>' : ''}</label>
+            ${input}
+            ${hint ? `<div class="field-hint">${escapeHtml(hint)}</div>` : ''}
+            <div class="field-error" id="recordFieldError_${escapeHtml(field.name)}"></div>
+        </div>
+    `;
+}
+
+// Read the values entered in the create form
+function readRecordForm() {
+    const record = {};
+    document.querySelectorAll('#recordFormFields [data-field]').forEach(input => {
+        if (input.type === 'checkbox') {
+            record[input.dataset.field] = input.checked;
+        } else if (input.value.trim() !== '') {
+            record[input.dataset.field] = input.type === 'number' ? Number(input.value) : input.value.trim();
+        }
+    });
+    return record;
+}
+
+// Create the record from the form; errors are shown next to the fields they concern
+// Likely duplicates are listed instead unless the user chose to create anyway.
+async function saveRecordForm(allowDuplicates = false) {
+    const section = document.getElementById('recordFormSection');
+    const objectType = section.dataset.objectType;
+    const record = readRecordForm();
+    
+    displayRecordFormErrors([]);
+    displayRecordFormDuplicates([]);
+    try {
+        await salesforceService.createRecord(objectType, record, allowDuplicates ? { allowDuplicates: true } : { checkDuplicates: true });
+        section.classList.add('hidden');
+        alert(`${objectType} created in Salesforce`);
+        removeUnmatchedAddress(section.dataset.emailAddress);
+        loadRelatedRecords();
+    } catch (error) {
+        if (error.duplicates && error.duplicates.length > 0) {
+            displayRecordFormDuplicates(error.duplicates);
+            return;
+        }
+        console.error(`Error creating ${objectType}:`, error);
+        displayRecordFormErrors(error.fieldErrors && error.fieldErrors.length > 0
+            ? error.fieldErrors
+            : [{ field: null, message: getErrorMessage(error) }]);
+    }
+}
+
+// List possible duplicates with the choice to use one, merge into one or create anyway
+function displayRecordFormDuplicates(duplicates) {
+    const container = document.getElementById('recordFormDuplicates');
+    const objectType = document.getElementById('recordFormSection').dataset.objectType;
+    
+    if (!duplicates || duplicates.length === 0) {
+        container.classList.add('hidden');
+        container.innerHTML = '';
+        return;
+    }
+    
+    let html = `<div class="duplicate-warning">This ${escapeHtml(objectType)} may already be in Salesforce.</div>`;
+    duplicates.forEach(duplicate => {
+        const details = [duplicate.type].concat(duplicate.details || [], duplicate.reason).filter(Boolean).map(escapeHtml).join(' • ');
+        const data = `data-id="${escapeHtml(duplicate.id)}" data-type="${escapeHtml(duplicate.type)}" data-name="${escapeHtml(duplicate.name)}"`;
+        html += `
+            <div class="contact-item">
+                <div class="contact-name">${escapeHtml(duplicate.name)}</div>
+                <div class="contact-details">${details}</div>
+                <button class="btn btn-secondary" ${data} onclick="useExistingRecord(this.dataset.id, this.dataset.type, this.dataset.name)">Use this record</button>
+                <button class="btn btn-secondary" ${data} onclick="mergeIntoRecord(this.dataset.id, this.dataset.type)">Merge details</button>
+            </div>
+        `;
+    });
+    html += '<button class="btn btn-secondary" onclick="saveRecordForm(true)">Create anyway</button>';
+    
+    container.innerHTML = html;
+    container.classList.remove('hidden');
+}
+
+// Use an existing record instead of creating a duplicate
+function useExistingRecord(recordId, recordType, recordName) {
+    const section = document.getElementById('recordFormSection');
+    section.classList.add('hidden');
+    removeUnmatchedAddress(section.dataset.emailAddress);
+    selectRecord(recordId, recordType, recordName);
+}
+
+// Offer the form's values as updates to an existing record
+function mergeIntoRecord(recordId, recordType) {
+    const section = document.getElementById('recordFormSection');
+    const values = SalesforceService.mapRecordFields(readRecordForm(), section.dataset.objectType, recordType);
+    section.classList.add('hidden');
+    removeUnmatchedAddress(section.dataset.emailAddress);
+    showRecordUpdate(recordId, recordType, `Merge into ${recordType}`, async () => values);
+}
+
+// Show errors under their inputs; errors without a matching input go below the form
+function displayRecordFormErrors(errors) {
+    const section = document.getElementById('recordFormSection');
+    section.querySelectorAll('.field-error').forEach(element => {
+        element.textContent = '';
+    });
+    section.querySelectorAll('.form-control').forEach(element => element.classList.remove('invalid'));
+    
+    const general = [];
+    errors.forEach(error => {
+        const input = error.field ? document.getElementById(`recordField_${error.field}`) : null;
+        if (input) {
+            input.classList.add('invalid');
+            document.getElementById(`recordFieldError_${error.field}`).textContent = error.message;
+        } else {
+            general.push(error.message);
+        }
+    });
+    document.getElementById('recordFormError').textContent = general.join(' ');
+}
+
+// Close the create form without saving
+function cancelRecordForm() {
+    document.getElementById('recordFormSection').classList.add('hidden');
+}
+
+// Compare the sender's signature with their Contact or Lead and offer the differences as updates
+function showSignatureUpdate(recordId, objectType) {
+    showRecordUpdate(recordId, objectType, `Update ${objectType} from Signature`, () => getSignatureValues(objectType));
+}
+
+// Compare new values with a record and let the user pick the fields to update
+async function showRecordUpdate(recordId, objectType, title, loadValues) {
+    const section = document.getElementById('recordUpdateSection');
+    const container = document.getElementById('recordUpdateFields');
+    pendingRecordUpdate = null;
+    document.getElementById('recordUpdateTitle').textContent = title;
+    document.getElementById('recordUpdateError').textContent = '';
+    container.innerHTML = '<div class="loading">Comparing with Salesforce...</div>';
+    section.classList.remove('hidden');
+    section.scrollIntoView({ behavior: 'smooth' });
+    
+    try {
+        const values = await loadValues();
+        const fieldNames = Object.keys(values);
+        if (fieldNames.length === 0) {
+            container.innerHTML = '<div class="loading">No details found to update</div>';
+            return;
+        }
+        
+        const [record, describe] = await Promise.all([
+            salesforceService.getRecord(objectType, recordId, fieldNames),
+            metadataService.describe(objectType)
+        ]);
+        const text = value => (value === null || value === undefined ? '' : String(value));
+        const changes = describe.fields.filter(field =>
+            field.updateable && field.name in values && text(record[field.name]) !== text(values[field.name]));
+        if (changes.length === 0) {
+            container.innerHTML = '<div class="loading">The record already has these details</div>';
+            return;
+        }
+        
+        pendingRecordUpdate = { recordId, objectType, values };
+        container.innerHTML = changes.map(field => `
+            <label class="update-change">
+                <input type="checkbox" data-field="${escapeHtml(field.name)}" checked>
+                ${escapeHtml(field.label)}: ${escapeHtml(text(values[field.name]))}
+                <small>Currently: ${escapeHtml(text(record[field.name]) || '(empty)')}</small>
+            </label>
+        `).join('');
+    } catch (error) {
+        console.error(`Error comparing ${objectType}:`, error);
+        container.innerHTML = '';
+        document.getElementById('recordUpdateError').textContent = 'Error loading record: ' + getErrorMessage(error);
+    }
+}
+
+// Write the selected values to the record
+async function applyRecordUpdate() {
+    if (!pendingRecordUpdate) {
+        cancelRecordUpdate();
+        return;
+    }
+    
+    const { recordId, objectType, values } = pendingRecordUpdate;
+    const changes = {};
+    document.querySelectorAll('#recordUpdateFields input:checked').forEach(input => {
+        changes[input.dataset.field] = values[input.dataset.field];
+    });
+    
+    if (Object.keys(changes).length === 0) {
+        alert('Please select the fields to update');
+        return;
+    }
+    
+    try {
+        await salesforceService.updateRecord(objectType, recordId, changes);
+        document.getElementById('recordUpdateSection').classList.add('hidden');
+        pendingRecordUpdate = null;
+        alert(`${objectType} updated in Salesforce`);
+        loadRelatedRecords();
+    } catch (error) {
+        console.error(`Error updating ${objectType}:`, error);
+        document.getElementById('recordUpdateError').textContent = error.fieldErrors && error.fieldErrors.length > 0
+            ? error.fieldErrors.map(entry => entry.message).join(' ')
+            : getErrorMessage(error);
+    }
+}
+
+// Close the record update without saving
+function cancelRecordUpdate() {
+    pendingRecordUpdate = null;
+    document.getElementById('recordUpdateSection').classList.add('hidden');
+}
+
+// Open the conversion card for the sender's Lead
+async function showConvertLead(leadId) {
+    const section = document.getElementById('convertLeadSection');
+    section.dataset.leadId = leadId;
+    document.getElementById('convertLeadError').textContent = '';
+    section.classList.remove('hidden');
+    section.scrollIntoView({ behavior: 'smooth' });
+    
+    try {
+        const [lead, statuses] = await Promise.all([
+            salesforceService.getRecord('Lead', leadId, ['Id', 'Name', 'Company']),
+            salesforceService.getConvertedStatuses()
+        ]);
+        section.dataset.company = lead.Company || '';
+        document.getElementById('convertLeadTitle').textContent = `Convert ${lead.Name}`;
+        document.getElementById('convertAccountSearch').value = lead.Company || '';
+        document.getElementById('convertOpportunityName').value = lead.Company || lead.Name;
+        document.getElementById('convertStatus').innerHTML = statuses
+            .map(status => `<option value="${escapeHtml(status.value)}">${escapeHtml(status.label)}</option>`)
+            .join('');
+        updateConvertOpportunity();
+        await loadConvertAccounts(lead.Company);
+    } catch (error) {
+        console.error('Error loading lead for conversion:', error);
+        document.getElementById('convertLeadError').textContent = 'Error loading lead: ' + getErrorMessage(error);
+    }
+}
+
+// Search accounts to attach the converted Lead to
+function searchConvertAccounts(event) {
+    if (event && event.key === 'Enter') {
+        loadConvertAccounts(document.getElementById('convertAccountSearch').value);
+    }
+}
+
+// List matching accounts below the "create new account" option
+async function loadConvertAccounts(searchTerm) {
+    const select = document.getElementById('convertAccount');
+    const company = document.getElementById('convertLeadSection').dataset.company;
+    
+    try {
+        const accounts = searchTerm && searchTerm.trim() ? await salesforceService.searchAccounts(searchTerm) : [];
+        select.innerHTML = `<option value="">Create new account${company ? `: ${escapeHtml(company)}` : ''}</option>` +
+            accounts.map(account => `
+                <option value="${escapeHtml(account.Id)}">${escapeHtml([account.Name, account.BillingCity].filter(Boolean).join(' • '))}</option>
+            `).join('');
+        // An account named like the Lead's company is most likely the right one
+        const sameName = accounts.find(account => company && account.Name.toLowerCase() === company.toLowerCase());
+        select.value = sameName ? sameName.Id : '';
+    } catch (error) {
+        console.error('Error searching accounts:', error);
+    }
+}
+
+// The opportunity name only applies when an opportunity is created
+function updateConvertOpportunity() {
+    document.getElementById('convertOpportunityName').disabled = !document.getElementById('convertCreateOpportunity').checked;
+}
+
+// Convert the Lead and move the current email over to the new Contact
+async function convertCurrentLead() {
+    const section = document.getElementById('convertLeadSection');
+    const leadId = section.dataset.leadId;
+    const createOpportunity = document.getElementById('convertCreateOpportunity').checked;
+    const opportunityName = document.getElementById('convertOpportunityName').value.trim();
+    const errorElement = document.getElementById('convertLeadError');
+    
+    if (createOpportunity && !opportunityName) {
+        alert('Please enter an opportunity name');
         return;
     }
     
-    // In demo mode, just show what would happen
-    alert('Would open Salesforce to create a new Lead (Demo mode)');
+    errorElement.textContent = '';
+    try {
+        const result = await salesforceService.convertLead(leadId, {
+            convertedStatus: document.getElementById('convertStatus').value,
+            accountId: document.getElementById('convertAccount').value || null,
+            opportunityName: createOpportunity ? opportunityName : null
+        });
+        
+        const internetMessageId = Office.context.mailbox.item.internetMessageId;
+        let message = 'Lead converted';
+        if (internetMessageId) {
+            try {
+                if (await salesforceService.relinkConvertedEmail(internetMessageId, leadId, result.contactId)) {
+                    message = 'Lead converted. This email is now linked to the new Contact.';
+                }
+            } catch (error) {
+                console.error('Error linking email to converted contact:', error);
+                message = `Lead converted, but this email could not be linked to the new Contact: ${getErrorMessage(error)}`;
+            }
+        }
+        
+        section.classList.add('hidden');
+        alert(message);
+        loadRelatedRecords();
+        loadLogStatus();
+    } catch (error) {
+        console.error('Error converting lead:', error);
+        if (error instanceof SalesforceNotFoundError) {
+            errorElement.textContent = 'Lead conversion is not set up in this org (deploy LeadConvertResource.cls)';
+        } else {
+            errorElement.textContent = error.fieldErrors && error.fieldErrors.length > 0
+                ? error.fieldErrors.map(entry => entry.message).join(' ')
+                : getErrorMessage(error);
+        }
+    }
+}
+
+// Close the conversion card without converting
+function cancelConvertLead() {
+    document.getElementById('convertLeadSection').classList.add('hidden');
+}
+
+// Drop a participant from the "not in Salesforce" list once a record exists for it
+function removeUnmatchedAddress(emailAddress) {
+    document.querySelectorAll('#unmatchedAddresses .contact-item').forEach(item => {
+        const button = item.querySelector('[data-address]');
+        if (button && button.dataset.address.toLowerCase() === (emailAddress || '').toLowerCase()) {
+            item.remove();
+        }
+    });
+    if (document.querySelectorAll('#unmatchedAddresses .contact-item').length === 0) {
+        document.getElementById('unmatchedSection').classList.add('hidden');
+    }
 }
 
 // Save activity
 async function saveActivity() {
     const subject = document.getElementById('logSubject').value;
-    const relatedTo = document.getElementById('relatedTo').value;
+    const relatedSelect = document.getElementById('relatedTo');
+    const relatedTo = relatedSelect.value;
+    const relatedType = relatedTo ? relatedSelect.options[relatedSelect.selectedIndex].dataset.type : null;
     const comments = document.getElementById('logComments').value;
     
     if (!subject.trim()) {
@@ -512,16 +1731,33 @@ async function saveActivity() {
     try {
         const emailData = await getCurrentEmailData();
         const activityData = {
+            // Identifies this save in the outbox and on the Task, so a retry cannot create it twice
+            key: SalesforceService.generateRandomString(24),
             subject: subject,
-            relatedTo: relatedTo,
-            comments: comments,
-            emailData: emailData
+            description: comments ? `${comments}\n\n${emailData.body}` : emailData.body,
+            relatedToId: relatedTo || null,
+            relatedToType: relatedType,
+            status: document.getElementById('activityStatus').value || undefined,
+            priority: document.getElementById('activityPriority').value || undefined
         };
         
-        const result = await saveActivityToSalesforce(activityData);
+        const submitted = await outboxService.submit('createActivity', {
+            emailData: emailData,
+            activityData: activityData
+        }, {
+            key: activityData.key,
+            label: `Activity: ${subject}`
+        });
+        
+        if (submitted.queued) {
+            alert('Salesforce could not be reached. The activity was queued and will be saved automatically.');
+            switchTab('overview');
+            return;
+        }
         
+        const result = submitted.result;
         if (result.success) {
-            alert('Activity saved successfully (Demo mode)');
+            alert('Activity saved successfully');
             // Clear form
             document.getElementById('logComments').value = '';
             // Refresh activity list
@@ -529,31 +1765,158 @@ async function saveActivity() {
             // Switch back to overview
             switchTab('overview');
         } else {
-            alert('Failed to save activity: ' + result.error);
+            alert('Failed to save activity: ' + (result.errors || []).map(error => error.message).join(', '));
         }
         
     } catch (error) {
         console.error('Error saving activity:', error);
-        alert('Error saving activity to Salesforce');
+        alert('Error saving activity to Salesforce: ' + getErrorMessage(error));
     }
 }
 
-// Save activity to Salesforce (mock implementation)
-async function saveActivityToSalesforce(activityData) {
-    // This would be a real Salesforce API call to create an Activity/Task record
-    return new Promise((resolve) => {
-        setTimeout(() => {
-            resolve({
-                success: true,
-                id: 'activity_' + Date.now()
-            });
-        }, 1000);
+// Show queued actions and send any that are due
+async function loadOutbox() {
+    try {
+        displayOutbox(await outboxService.getItems());
+        await outboxService.processQueue();
+    } catch (error) {
+        console.error('Error loading outbox:', error);
+    }
+}
+
+// Show the pending/failed indicator and the queued actions with retry and discard
+function displayOutbox(items) {
+    const badge = document.getElementById('outboxBadge');
+    const section = document.getElementById('outboxSection');
+    const container = document.getElementById('outboxItems');
+    
+    if (!items || items.length === 0) {
+        badge.classList.add('hidden');
+        section.classList.add('hidden');
+        container.innerHTML = '';
+        return;
+    }
+    
+    const failed = items.filter(item => item.status === 'failed').length;
+    const pending = items.length - failed;
+    badge.textContent = [pending ? `${pending} pending` : '', failed ? `${failed} failed` : ''].filter(Boolean).join(', ');
+    badge.classList.toggle('failed', failed > 0);
+    badge.classList.remove('hidden');
+    
+    let html = '';
+    items.forEach(item => {
+        const status = item.status === 'failed'
+            ? `Failed after ${item.attempts} attempt${item.attempts === 1 ? '' : 's'}`
+            : `Retrying ${getTimeUntil(new Date(item.nextAttemptAt))}`;
+        html += `
+            <div class="contact-item">
+                <div class="contact-name">${escapeHtml(item.label)}</div>
+                <div class="contact-details">${[item.org, status, item.lastError].filter(Boolean).map(escapeHtml).join(' • ')}</div>
+                <button class="btn btn-secondary" data-id="${escapeHtml(item.id)}" onclick="retryOutboxItem(this.dataset.id)">Retry now</button>
+                <button class="btn btn-secondary" data-id="${escapeHtml(item.id)}" onclick="discardOutboxItem(this.dataset.id)">Discard</button>
+            </div>
+        `;
     });
+    container.innerHTML = html;
+    section.classList.remove('hidden');
+}
+
+// Get "in 5 minutes" style text for the next retry
+function getTimeUntil(date) {
+    const diffMins = Math.ceil((date - new Date()) / (1000 * 60));
+    if (diffMins <= 0) {
+        return 'now';
+    } else if (diffMins < 60) {
+        return `in ${diffMins} minute${diffMins > 1 ? 's' : ''}`;
+    }
+    const diffHours = Math.round(diffMins / 60);
+    return `in ${diffHours} hour${diffHours > 1 ? 's' : ''}`;
+}
+
+// Jump to the queued actions from the header indicator
+function showOutbox() {
+    switchTab('overview');
+    document.getElementById('outboxSection').scrollIntoView({ behavior: 'smooth' });
+}
+
+// Send a queued action now
+async function retryOutboxItem(itemId) {
+    try {
+        await outboxService.retry(itemId);
+        loadLogStatus();
+        loadRecentActivity();
+    } catch (error) {
+        console.error('Error retrying queued action:', error);
+    }
+}
+
+// Drop a queued action without sending it
+async function discardOutboxItem(itemId) {
+    await outboxService.remove(itemId);
+}
+
+// Limits shown on the Diagnostics tab, by /limits name
+const DIAGNOSTIC_LIMITS = [
+    { name: 'DailyApiRequests', label: 'Daily API requests' },
+    { name: 'DailyBulkApiBatches', label: 'Daily Bulk API batches' },
+    { name: 'SingleEmail', label: 'Single emails' },
+    { name: 'DataStorageMB', label: 'Data storage (MB)' },
+    { name: 'FileStorageMB', label: 'File storage (MB)' }
+];
+
+// Show the org's API usage and other limits
+async function loadDiagnostics() {
+    const container = document.getElementById('apiLimits');
+    
+    if (!salesforceSession) {
+        container.innerHTML = '<div class="loading">Please authenticate to Salesforce</div>';
+        return;
+    }
+    
+    container.innerHTML = '<div class="loading">Loading limits...</div>';
+    try {
+        const limits = await salesforceService.getLimits();
+        const usage = salesforceService.getApiUsage();
+        const connection = salesforceService.getConnectionInfo();
+        
+        let html = `<div class="contact-details">${escapeHtml(connection.name)} • API ${escapeHtml(salesforceService.apiVersion)}</div>`;
+        if (usage && salesforceService.isApiLimitLow()) {
+            html += `
+                <div class="duplicate-warning">
+                    Fewer than ${salesforceService.apiLimitReservePercent}% of today's API calls remain.
+                    Background refreshes such as Recent Activity are paused.
+                </div>
+            `;
+        }
+        
+        DIAGNOSTIC_LIMITS.forEach(({ name, label }) => {
+            const limit = limits[name];
+            if (!limit || !limit.Max) {
+                return;
+            }
+            const used = limit.Max - limit.Remaining;
+            const percentUsed = Math.min(Math.round(used / limit.Max * 100), 100);
+            const low = limit.Remaining / limit.Max * 100 < salesforceService.apiLimitReservePercent;
+            html += `
+                <div class="contact-details">${escapeHtml(label)}: ${used.toLocaleString()} of ${limit.Max.toLocaleString()} used</div>
+                <div class="usage-bar"><div class="usage-bar-fill ${low ? 'low' : ''}" style="width: ${percentUsed}%"></div></div>
+            `;
+        });
+        
+        container.innerHTML = html;
+    } catch (error) {
+        console.error('Error loading limits:', error);
+        container.innerHTML = `<div class="loading">Error loading limits. ${escapeHtml(getErrorMessage(error))}</div>`;
+    }
 }
 
 // Logout from Salesforce
-function logoutFromSalesforce() {
-    localStorage.removeItem('salesforceSession');
+async function logoutFromSalesforce() {
+    try {
+        await salesforceService.logout();
+    } catch (error) {
+        console.error('Error logging out:', error);
+    }
     salesforceSession = null;
-    showAuthSection();
+    showAuthSection(salesforceService.getActiveConnection());
 }
\ No newline at end of file
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SoqlBuilder, SoslBuilder } = require('../salesforce-service.js');
+
+test('escapeLiteral escapes quotes, backslashes and control characters', () => {
+    assert.equal(SoqlBuilder.escapeLiteral("O'Brien"), "O\\'Brien");
+    assert.equal(SoqlBuilder.escapeLiteral('say "hi"'), 'say \\"hi\\"');
+    assert.equal(SoqlBuilder.escapeLiteral('a\\b'), 'a\\\\b');
+    assert.equal(SoqlBuilder.escapeLiteral('line1\nline2\r\tend'), 'line1\\nline2\\r\\tend');
+    assert.equal(SoqlBuilder.escapeLiteral('\f\x08'), '\\f\\b');
+});
+
+test('escapeLiteral escapes the backslash before the quote it adds', () => {
+    // A trailing backslash must not turn the escaped quote back into a closing one
+    assert.equal(SoqlBuilder.escapeLiteral("\\' OR Name != '"), "\\\\\\' OR Name != \\'");
+    assert.equal(SoqlBuilder.literal("x\\' OR Id != null --"), "'x\\\\\\' OR Id != null --'");
+});
+
+test('escapeLike escapes the % and _ wildcards on top of literal escaping', () => {
+    assert.equal(SoqlBuilder.escapeLike('100%_done'), '100\\%\\_done');
+    assert.equal(SoqlBuilder.escapeLike("it's 50%"), "it\\'s 50\\%");
+    assert.equal(SoqlBuilder.escapeLike('a\\%'), 'a\\\\\\%');
+});
+
+test('literal formats values by type', () => {
+    assert.equal(SoqlBuilder.literal(null), 'null');
+    assert.equal(SoqlBuilder.literal(undefined), 'null');
+    assert.equal(SoqlBuilder.literal(true), 'true');
+    assert.equal(SoqlBuilder.literal(42), '42');
+    assert.equal(SoqlBuilder.literal(new Date('2024-01-02T03:04:05.678Z')), '2024-01-02T03:04:05Z');
+    assert.equal(SoqlBuilder.literal('a'), "'a'");
+    assert.throws(() => SoqlBuilder.literal(NaN), /Invalid SOQL number/);
+    assert.throws(() => SoqlBuilder.literal(Infinity), /Invalid SOQL number/);
+});
+
+test('whereIn quotes and escapes every value', () => {
+    const soql = new SoqlBuilder('Contact')
+        .select('Id')
+        .whereIn('Email', ["o'brien@example.com", 'back\\slash@example.com', 'new\nline@example.com'])
+        .build();
+    assert.equal(soql,
+        "SELECT Id FROM Contact WHERE Email IN ('o\\'brien@example.com', 'back\\\\slash@example.com', 'new\\nline@example.com')");
+    assert.throws(() => new SoqlBuilder('Contact').whereIn('Email', []), /at least one value/);
+});
+
+test('whereLike escapes wildcards and quotes in each match mode', () => {
+    const build = match => new SoqlBuilder('Account').select('Id').whereLike('Name', "50%_O'Neil", match).build();
+    assert.equal(build('contains'), "SELECT Id FROM Account WHERE Name LIKE '%50\\%\\_O\\'Neil%'");
+    assert.equal(build('startsWith'), "SELECT Id FROM Account WHERE Name LIKE '50\\%\\_O\\'Neil%'");
+    assert.equal(build('endsWith'), "SELECT Id FROM Account WHERE Name LIKE '%50\\%\\_O\\'Neil'");
+    assert.throws(() => build('regex'), /Invalid LIKE match mode/);
+});
+
+test('identifiers, operators, directions and limits are validated', () => {
+    assert.throws(() => new SoqlBuilder('Contact; DELETE'), /Invalid SOQL identifier/);
+    assert.throws(() => new SoqlBuilder('Contact').select('Id FROM User'), /Invalid SOQL identifier/);
+    assert.throws(() => new SoqlBuilder('Contact').where('Name', 'OR 1=1 OR', 'x'), /Invalid SOQL operator/);
+    assert.throws(() => new SoqlBuilder('Contact').orderBy('Name', 'DESC; --'), /Invalid sort direction/);
+    assert.throws(() => new SoqlBuilder('Contact').limit('5 OFFSET 10'), /Invalid SOQL integer/);
+    assert.throws(() => new SoqlBuilder('Contact').limit(-1), /Invalid SOQL integer/);
+    assert.equal(new SoqlBuilder('Contact').select('Account.Name').orderBy('Name', 'desc').limit('5').build(),
+        'SELECT Account.Name FROM Contact ORDER BY Name DESC LIMIT 5');
+});
+
+test('SoslBuilder.escape escapes every SOSL reserved character', () => {
+    const reserved = '?&|!{}[]()^~*:\\"\'+-';
+    assert.equal(SoslBuilder.escape(reserved), reserved.split('').map(char => `\\${char}`).join(''));
+    assert.equal(SoslBuilder.escape('plain text 123'), 'plain text 123');
+});
+
+test('SOSL search terms cannot close the braces or add clauses', () => {
+    const sosl = new SoslBuilder('x} RETURNING User(Id, Email) LIMIT 1 {')
+        .in('email')
+        .returning('Contact', ['Id', 'Name'], { limit: 5 })
+        .build();
+    assert.equal(sosl,
+        'FIND {x\\} RETURNING User\\(Id, Email\\) LIMIT 1 \\{} IN EMAIL FIELDS RETURNING Contact(Id, Name LIMIT 5)');
+    assert.equal(new SoslBuilder("O'Brien-Smith \\ \"quoted\"").build(),
+        'FIND {O\\\'Brien\\-Smith \\\\ \\"quoted\\"} IN ALL FIELDS');
+});
+
+test('SOSL RETURNING clauses validate names and limits', () => {
+    assert.throws(() => new SoslBuilder('a').returning('Contact(Id), User', ['Id']), /Invalid SOQL identifier/);
+    assert.throws(() => new SoslBuilder('a').returning('Contact', ['Id) , User(Id']), /Invalid SOQL identifier/);
+    assert.throws(() => new SoslBuilder('a').in('ALL FIELDS RETURNING User'), /Invalid SOSL search group/);
+    assert.throws(() => new SoslBuilder('a').limit('1)'), /Invalid SOQL integer/);
+    const where = [SoqlBuilder.condition('Email', '=', "o'brien@example.com")];
+    assert.equal(new SoslBuilder('a').returning('Lead', ['Id'], { where: where }).limit(10).build(),
+        "FIND {a} IN ALL FIELDS RETURNING Lead(Id WHERE Email = 'o\\'brien@example.com') LIMIT 10");
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const SignatureParser = require('../signature-parser.js');
+
+// Each sample (.txt or .html) has a .json next to it: { sender, expected: { found, confidence, fields } }
+const FIXTURES = path.join(__dirname, 'fixtures', 'signatures');
+
+fs.readdirSync(FIXTURES)
+    .filter(file => /\.(txt|html)$/.test(file))
+    .forEach(file => {
+        test(`parses the ${file} signature`, () => {
+            const body = fs.readFileSync(path.join(FIXTURES, file), 'utf8');
+            const { sender, expected } = JSON.parse(fs.readFileSync(path.join(FIXTURES, file.replace(/\.\w+$/, '.json')), 'utf8'));
+            const result = new SignatureParser().parse(body, sender);
+
+            assert.equal(result.found, expected.found);
+            assert.equal(result.confidence, expected.confidence);
+            assert.deepEqual(result.fields, expected.fields);
+        });
+    });
+
+test('every fixture has an expectation file', () => {
+    const files = fs.readdirSync(FIXTURES);
+    files.filter(file => /\.(txt|html)$/.test(file)).forEach(file => {
+        assert.ok(files.includes(file.replace(/\.\w+$/, '.json')), `${file} has no .json`);
+    });
+});
+
+test('uses the injected name splitter to recognize the name line', () => {
+    const splitName = () => ({ firstName: 'Jane', lastName: 'Doe' });
+    const result = new SignatureParser({ splitName }).parse('Hi\n\nJane Doe\nSales Director\n+1 555 123 4567', { name: 'J. Doe' });
+
+    assert.equal(result.confidence, 0.7);
+    assert.deepEqual(result.fields.title, { value: 'Sales Director', confidence: 0.63 });
+});
+
+test('social profiles are not taken as the website, but look-alike domains are', () => {
+    const parser = new SignatureParser();
+    assert.equal(parser.extractWebsite(['linkedin.com/in/jane', 'x.com/jane'], 'jane@acme.com', new Set()), null);
+    assert.equal(parser.extractWebsite(['globex.com'], 'carlos@globex.com', new Set()).value, 'globex.com');
+});